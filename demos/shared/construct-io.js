@@ -0,0 +1,691 @@
+/**
+ * ConstructIO - Annotated sequence import/export for reporter constructs
+ *
+ * Writes assembled reporter constructs as GenBank flat files and GFF3 (with an
+ * embedded ##FASTA section) so they open in SnapGene, Benchling or a genome
+ * browser with their annotations intact. Features are written for each
+ * construct region, each mutated codon (or single-nt edit) and each predicted
+ * translon, the latter as a CDS with its /translation.
+ *
+ * Constructs are { name, sequence, regions, sourceRegions?, baseSequence?,
+ * mutations?, ntMutations?, translons? } where sequence/regions come from
+ * RDGEngine.assembleConstruct, sourceRegions are the region specs it was given
+ * and mutations/ntMutations are keyed by 0-based position in the base
+ * sequence (codon and single-nt edits, as in the western-blot demo).
+ * Positions written to either format are 1-based and inclusive.
+ *
+ * Import goes the other way: GenBank files or GFF3 (+FASTA) are parsed into
+ * records of features, and importConstruct maps 5'UTR/3'UTR, reporter CDS and
+ * misc_feature annotations onto construct region specs for assembleConstruct
+ * plus known ORFs, so an existing plasmid can be analysed as drawn.
+ */
+
+(function(global){
+  // Region type -> GenBank feature key and Sequence Ontology type
+  const REGION_FEATURES = {
+    '5UTR': { key: "5'UTR", so: 'five_prime_UTR', label: "5' UTR" },
+    '3UTR': { key: "3'UTR", so: 'three_prime_UTR', label: "3' UTR" },
+    RLUC: { key: 'gene', so: 'gene', label: 'RLuc', product: 'Renilla luciferase' },
+    RLUC_WEAK: { key: 'gene', so: 'gene', label: 'RLuc (weak start)', product: 'Renilla luciferase' },
+    RLUC_NO_STOP: { key: 'gene', so: 'gene', label: 'RLuc (no stop)', product: 'Renilla luciferase' },
+    FLUC: { key: 'gene', so: 'gene', label: 'FLuc', product: 'firefly luciferase' },
+    GFP: { key: 'gene', so: 'gene', label: 'GFP', product: 'green fluorescent protein' },
+    LINKER: { key: 'misc_feature', so: 'region', label: 'Linker' },
+    PAD_G3: { key: 'misc_feature', so: 'region', label: 'GGG pad' },
+    IRES: { key: 'misc_feature', so: 'internal_ribosome_entry_site', label: 'IRES' },
+    CUSTOM: { key: 'misc_feature', so: 'region', label: 'Custom region' }
+  };
+
+  const SLICE_TYPES = ['5UTR', '3UTR', 'CUSTOM', 'IRES'];
+  const QUALIFIER_INDENT = ' '.repeat(21);
+  const LINE_WIDTH = 79;
+  const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+  function engine() {
+    if (global.RDGEngine) return global.RDGEngine;
+    if (typeof require !== 'undefined') {
+      try { return require('./rdg-engine.js'); } catch (e) { return null; }
+    }
+    return null;
+  }
+
+  // Registry entry for a reporter or tag region type (RDGEngine.registerReporter)
+  function reporterInfo(type) {
+    const eng = engine();
+    return eng && eng.getReporterInfo ? eng.getReporterInfo(type) : null;
+  }
+
+  function regionFeature(type) {
+    if (REGION_FEATURES[type]) return REGION_FEATURES[type];
+    const info = reporterInfo(type);
+    if (info && info.kind === 'tag') return { key: 'misc_feature', so: 'polypeptide_region', label: info.name };
+    if (info) return { key: 'gene', so: 'gene', label: type === info.type ? info.name : `${info.name} (${type})`, product: info.name };
+    return { key: 'misc_feature', so: 'region', label: type };
+  }
+
+  // Slices of the base sequence keep their source coordinates; reporters,
+  // tags and linkers are library sequences and have none
+  function isSliceType(type) {
+    return SLICE_TYPES.includes(type) || (!REGION_FEATURES[type] && !reporterInfo(type));
+  }
+
+  /**
+   * Map a 0-based base-sequence position into the assembled construct.
+   * Assembled regions are matched to their source specs in order (empty
+   * slices are dropped by assembleConstruct, so types are used to realign).
+   * @returns {number|null} 0-based assembled position, or null when the base
+   *          position is not part of any assembled slice
+   */
+  function mapBasePosition(pos, sourceRegions, assembledRegions) {
+    if (!Array.isArray(sourceRegions) || !Array.isArray(assembledRegions)) return pos;
+    let si = 0;
+    for (const region of assembledRegions) {
+      while (si < sourceRegions.length && sourceRegions[si].type !== region.type) si++;
+      const source = sourceRegions[si++];
+      if (!source || !isSliceType(region.type)) continue;
+      const sliceStart = Math.max(0, (source.start || 1) - 1);
+      const offset = pos - sliceStart;
+      if (offset >= 0 && offset < region.end - region.start) return region.start + offset;
+    }
+    return null;
+  }
+
+  function toDNA(seq) {
+    return (seq || '').toUpperCase().replace(/U/g, 'T');
+  }
+
+  function formatNumber(v, digits = 3) {
+    return typeof v === 'number' && isFinite(v) ? parseFloat(v.toFixed(digits)).toString() : null;
+  }
+
+  /**
+   * Collect region, mutation and translon features for a construct.
+   * @param {Object} construct - See module header
+   * @param {Object} options - { translons: false to omit translons, geneticCode }
+   * @returns {Array} Features { kind, key, so, id, start (0-based), end (exclusive),
+   *          partialEnd, qualifiers: [[name, value]] }, ordered by start
+   */
+  function buildConstructFeatures(construct, options = {}) {
+    const features = [];
+    const seq = construct.sequence || '';
+    const regions = construct.regions || [];
+    const base = construct.baseSequence || null;
+    const eng = engine();
+
+    regions.forEach((region, idx) => {
+      if (!(region.end > region.start)) return;
+      const info = regionFeature(region.type);
+      const qualifiers = [];
+      if (info.key === 'gene') qualifiers.push(['gene', region.type]);
+      if (info.product) qualifiers.push(['product', info.product]);
+      qualifiers.push(['label', info.label]);
+      qualifiers.push(['note', `region=${region.type}`]);
+      features.push({ kind: 'region', key: info.key, so: info.so, id: `region${idx + 1}`, start: region.start, end: region.end, qualifiers });
+    });
+
+    const addVariant = (basePos, replacement, kind) => {
+      const pos = mapBasePosition(basePos, construct.sourceRegions, regions);
+      if (pos === null || pos < 0 || pos + replacement.length > seq.length) return;
+      const original = base ? base.substring(basePos, basePos + replacement.length).toUpperCase() : null;
+      const qualifiers = [['replace', toDNA(replacement).toLowerCase()]];
+      const label = original ? `${original}>${replacement.toUpperCase()}` : `>${replacement.toUpperCase()}`;
+      qualifiers.push(['label', label]);
+      qualifiers.push(['note', `${kind} edit at base position ${basePos + 1}${original ? ` (${original} to ${replacement.toUpperCase()})` : ''}`]);
+      features.push({ kind: 'mutation', key: 'variation', so: kind === 'codon' ? 'substitution' : 'SNV', id: `mut${basePos + 1}`, start: pos, end: pos + replacement.length, qualifiers });
+    };
+    Object.entries(construct.mutations || {}).forEach(([k, codon]) => {
+      const p = parseInt(k, 10);
+      if (!isNaN(p) && codon) addVariant(p, String(codon), 'codon');
+    });
+    Object.entries(construct.ntMutations || {}).forEach(([k, nt]) => {
+      const p = parseInt(k, 10);
+      if (!isNaN(p) && nt) addVariant(p, String(nt), 'nt');
+    });
+
+    if (options.translons !== false) {
+      (construct.translons || []).forEach((t, idx) => {
+        const start = t.startNt;
+        if (!Number.isInteger(start) || start < 0 || start >= seq.length) return;
+        const stop = Number.isInteger(t.endNt) ? t.endNt : (Number.isInteger(t.stopNt) ? t.stopNt : null);
+        const stopCodon = stop !== null ? seq.substring(stop - 3, stop) : '';
+        const terminated = stop !== null && stop <= seq.length && /^(UAA|UAG|UGA|TAA|TAG|TGA)$/i.test(stopCodon);
+        const end = stop !== null ? Math.min(stop, seq.length) : seq.length;
+        if (end <= start) return;
+        const name = t.name || t.pathId || `T${idx + 1}`;
+        let translation = t.aaSequence || null;
+        if (!translation && eng && eng.translateORF) translation = eng.translateORF(seq.substring(start, end), options.geneticCode);
+        const qualifiers = [['label', name], ['codon_start', '1']];
+        qualifiers.push(['note', `translon=${name}${t.classification ? `; class=${t.classification}` : ''}`]);
+        if (t.startCodon) qualifiers.push(['note', `start codon ${t.startCodon}`]);
+        const flux = formatNumber(t.predictedAbundance);
+        if (flux !== null) {
+          const interval = t.abundanceInterval;
+          const range = interval && typeof interval.lower === 'number'
+            ? ` (${Math.round((interval.level || 0.9) * 100)}% interval ${formatNumber(interval.lower)}-${formatNumber(interval.upper)})` : '';
+          qualifiers.push(['note', `predicted relative abundance ${flux}${range}`]);
+        }
+        if (!terminated) qualifiers.push(['note', 'no in-frame stop codon before the 3\' end']);
+        if (translation) qualifiers.push(['translation', translation]);
+        features.push({ kind: 'translon', key: 'CDS', so: 'CDS', id: name, start, end, partialEnd: !terminated, qualifiers });
+      });
+    }
+
+    const kindOrder = { region: 0, mutation: 1, translon: 2 };
+    return features.sort((a, b) => a.start - b.start || kindOrder[a.kind] - kindOrder[b.kind] || b.end - a.end);
+  }
+
+  // ==========================================================================
+  // GenBank
+  // ==========================================================================
+
+  function genBankDate(date) {
+    const d = date instanceof Date ? date : new Date(date || Date.now());
+    return `${String(d.getDate()).padStart(2, '0')}-${MONTHS[d.getMonth()]}-${d.getFullYear()}`;
+  }
+
+  function locusName(name) {
+    return (String(name || 'construct').replace(/[^A-Za-z0-9_.-]+/g, '_') || 'construct').substring(0, 16);
+  }
+
+  // Wrap a qualifier at LINE_WIDTH; free text breaks on spaces when possible
+  function formatQualifier(name, value) {
+    const numeric = name === 'codon_start';
+    const text = numeric ? `/${name}=${value}` : `/${name}="${String(value).replace(/"/g, '""')}"`;
+    const width = LINE_WIDTH - QUALIFIER_INDENT.length;
+    const lines = [];
+    let rest = text;
+    while (rest.length > width) {
+      let cut = name === 'translation' ? width : rest.lastIndexOf(' ', width);
+      if (cut <= 0) cut = width;
+      lines.push(rest.substring(0, cut).trimEnd());
+      rest = rest.substring(cut).trimStart();
+    }
+    lines.push(rest);
+    return lines.map(l => QUALIFIER_INDENT + l).join('\n');
+  }
+
+  function formatLocation(feature) {
+    const start = feature.start + 1;
+    if (feature.end - feature.start === 1 && !feature.partialEnd) return String(start);
+    return `${start}..${feature.partialEnd ? '>' : ''}${feature.end}`;
+  }
+
+  function formatOrigin(seq) {
+    const lines = ['ORIGIN'];
+    const dna = toDNA(seq).toLowerCase();
+    for (let i = 0; i < dna.length; i += 60) {
+      const blocks = [];
+      for (let j = i; j < Math.min(i + 60, dna.length); j += 10) blocks.push(dna.substring(j, j + 10));
+      lines.push(`${String(i + 1).padStart(9)} ${blocks.join(' ')}`);
+    }
+    lines.push('//');
+    return lines.join('\n');
+  }
+
+  /**
+   * Write one construct as a GenBank flat-file record.
+   * @param {Object} construct - See module header
+   * @param {Object} options - { date, definition, translons: false, geneticCode }
+   * @returns {string} GenBank record ending in '//'
+   */
+  function toGenBank(construct, options = {}) {
+    const seq = construct.sequence || '';
+    const name = locusName(construct.name);
+    const lines = [];
+    lines.push(`LOCUS       ${name.padEnd(16)} ${String(seq.length).padStart(11)} bp    DNA     linear   SYN ${genBankDate(options.date)}`);
+    lines.push(`DEFINITION  ${options.definition || `${construct.name || 'Construct'} reporter construct.`}`);
+    lines.push('ACCESSION   .');
+    lines.push('VERSION     .');
+    lines.push('KEYWORDS    .');
+    lines.push('SOURCE      synthetic DNA construct');
+    lines.push('  ORGANISM  synthetic DNA construct');
+    lines.push('FEATURES             Location/Qualifiers');
+    lines.push(`     ${'source'.padEnd(16)}1..${seq.length}`);
+    lines.push(formatQualifier('mol_type', 'other DNA'));
+    lines.push(formatQualifier('organism', 'synthetic DNA construct'));
+    buildConstructFeatures(construct, options).forEach(f => {
+      lines.push(`     ${f.key.padEnd(16)}${formatLocation(f)}`);
+      f.qualifiers.forEach(([q, v]) => lines.push(formatQualifier(q, v)));
+    });
+    lines.push(formatOrigin(seq));
+    return lines.join('\n');
+  }
+
+  /**
+   * Write several constructs as a multi-record GenBank file.
+   * @param {Array} constructs - Constructs (see module header)
+   * @param {Object} options - Passed to toGenBank
+   * @returns {string} Concatenated records
+   */
+  function toGenBankMulti(constructs, options = {}) {
+    return (constructs || []).filter(c => c && c.sequence).map(c => toGenBank(c, options)).join('\n') + '\n';
+  }
+
+  // ==========================================================================
+  // GFF3
+  // ==========================================================================
+
+  // Reserved characters in column 9 are percent-encoded (GFF3 spec)
+  function escapeGFF(value) {
+    return String(value).replace(/[%;=&,\t\n\r]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+  }
+
+  function seqId(name) {
+    return String(name || 'construct').replace(/[^A-Za-z0-9._:^*$@!+?|-]+/g, '_') || 'construct';
+  }
+
+  function gffAttributes(feature, seqid) {
+    const attrs = [['ID', `${seqid}:${feature.id}`]];
+    const notes = [];
+    feature.qualifiers.forEach(([q, v]) => {
+      if (q === 'label') attrs.push(['Name', v]);
+      else if (q === 'note') notes.push(v);
+      else if (q === 'gene' || q === 'product' || q === 'translation' || q === 'replace') attrs.push([q, v]);
+    });
+    if (feature.partialEnd) attrs.push(['end_range', `${feature.end},.`]);
+    if (notes.length) attrs.push(['Note', notes.map(escapeGFF).join(',')]);
+    return attrs.map(([k, v]) => `${k}=${k === 'Note' ? v : escapeGFF(v)}`).join(';');
+  }
+
+  /**
+   * Write constructs as GFF3 with their sequences in a trailing ##FASTA section.
+   * @param {Object|Array} constructs - One construct or an array (see module header)
+   * @param {Object} options - { translons: false, geneticCode }
+   * @returns {string} GFF3 text
+   */
+  function toGFF3(constructs, options = {}) {
+    const list = (Array.isArray(constructs) ? constructs : [constructs]).filter(c => c && c.sequence);
+    const used = {};
+    const ids = list.map(c => {
+      let id = seqId(c.name);
+      if (used[id]) id = `${id}_${++used[id]}`; else used[id] = 1;
+      return id;
+    });
+    const lines = ['##gff-version 3'];
+    list.forEach((c, i) => lines.push(`##sequence-region ${ids[i]} 1 ${c.sequence.length}`));
+    list.forEach((c, i) => {
+      buildConstructFeatures(c, options).forEach(f => {
+        const phase = f.so === 'CDS' ? '0' : '.';
+        lines.push([ids[i], 'RDG', f.so, f.start + 1, f.end, '.', '+', phase, gffAttributes(f, ids[i])].join('\t'));
+      });
+    });
+    lines.push('##FASTA');
+    list.forEach((c, i) => {
+      lines.push(`>${ids[i]}`);
+      const dna = toDNA(c.sequence);
+      for (let j = 0; j < dna.length; j += 60) lines.push(dna.substring(j, j + 60));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // ==========================================================================
+  // Import
+  // ==========================================================================
+
+  const GENBANK_KEYS = { "5'UTR": '5UTR', "3'UTR": '3UTR', five_prime_UTR: '5UTR', three_prime_UTR: '3UTR' };
+  const SPAN_KEYS = ['mRNA', 'transcript', 'misc_RNA', 'primary_transcript'];
+  const MISC_KEYS = ['misc_feature', 'region', 'sequence_feature', 'internal_ribosome_entry_site', 'regulatory', 'misc_structure'];
+  const STOP_CODONS = ['UAA', 'UAG', 'UGA'];
+
+  function toRNA(seq) {
+    return (seq || '').toUpperCase().replace(/[^ACGTUN]/g, '').replace(/T/g, 'U');
+  }
+
+  /**
+   * Parse a GenBank location into a 0-based half-open span.
+   * join()/order() collapse to their outer bounds; partial markers are kept.
+   * @returns {Object|null} { start, end, strand, partialStart, partialEnd, joined }
+   */
+  function parseLocation(text) {
+    const loc = String(text || '').replace(/\s+/g, '');
+    const strand = /complement\(/.test(loc) ? -1 : 1;
+    const ranges = [];
+    const re = /(<?)(\d+)(?:\.\.(>?)(\d+))?/g;
+    let m;
+    while ((m = re.exec(loc)) !== null) {
+      if (/[:^]/.test(loc.charAt(m.index - 1)) || loc.charAt(m.index + m[0].length) === '^') continue;
+      ranges.push({ start: parseInt(m[2], 10), end: parseInt(m[4] || m[2], 10), partialStart: !!m[1], partialEnd: !!m[3] });
+    }
+    if (ranges.length === 0) return null;
+    const start = Math.min(...ranges.map(r => r.start));
+    const end = Math.max(...ranges.map(r => r.end));
+    return {
+      start: start - 1,
+      end,
+      strand,
+      partialStart: ranges.some(r => r.partialStart),
+      partialEnd: ranges.some(r => r.partialEnd),
+      joined: ranges.length > 1
+    };
+  }
+
+  /**
+   * Parse GenBank flat-file text (one or more records).
+   * @param {string} text - GenBank text
+   * @returns {Array} Records { name, definition, sequence (RNA), features: [{ key,
+   *          start, end, strand, partialStart, partialEnd, qualifiers: {name: [values]} }] }
+   */
+  function parseGenBank(text) {
+    const records = [];
+    let record = null;
+    let section = null;
+    let feature = null;
+    let qualifier = null;
+    let seqParts = [];
+
+    const finish = () => {
+      if (!record) return;
+      record.sequence = toRNA(seqParts.join(''));
+      records.push(record);
+      record = null;
+      seqParts = [];
+    };
+
+    (text || '').split(/\r?\n/).forEach(line => {
+      if (/^LOCUS\s/.test(line)) {
+        finish();
+        record = { name: line.split(/\s+/)[1] || `record_${records.length + 1}`, definition: '', features: [] };
+        section = 'header';
+        return;
+      }
+      if (!record) return;
+      if (line.startsWith('//')) { finish(); section = null; return; }
+      if (/^DEFINITION\s/.test(line)) { record.definition = line.substring(12).trim(); return; }
+      if (/^FEATURES\s/.test(line)) { section = 'features'; return; }
+      if (/^ORIGIN/.test(line)) { section = 'origin'; return; }
+      if (/^[A-Z]/.test(line)) { section = 'header'; return; }
+
+      if (section === 'origin') {
+        seqParts.push(line.replace(/[\d\s]/g, ''));
+      } else if (section === 'features') {
+        const key = line.substring(5, 21).trim();
+        const body = line.substring(21);
+        if (key && line.charAt(5) !== ' ') {
+          feature = { key, locationText: body.trim(), qualifiers: {} };
+          record.features.push(feature);
+          qualifier = null;
+        } else if (feature && body.startsWith('/')) {
+          const eq = body.indexOf('=');
+          const name = (eq < 0 ? body.substring(1) : body.substring(1, eq)).trim();
+          const value = eq < 0 ? '' : body.substring(eq + 1).trim();
+          qualifier = { name, value };
+          (feature.qualifiers[name] = feature.qualifiers[name] || []).push(value);
+        } else if (feature && qualifier) {
+          // Continuation: translations join without spaces, free text with one
+          const list = feature.qualifiers[qualifier.name];
+          const sep = qualifier.name === 'translation' ? '' : ' ';
+          list[list.length - 1] += sep + body.trim();
+        } else if (feature) {
+          feature.locationText += body.trim();
+        }
+      }
+    });
+    finish();
+
+    records.forEach(r => {
+      r.features = r.features.map(f => {
+        const loc = parseLocation(f.locationText);
+        if (!loc) return null;
+        const qualifiers = {};
+        Object.entries(f.qualifiers).forEach(([k, values]) => {
+          qualifiers[k] = values.map(v => v.replace(/^"|"$/g, '').replace(/""/g, '"'));
+        });
+        return { key: f.key, ...loc, qualifiers };
+      }).filter(Boolean);
+    });
+    return records;
+  }
+
+  function parseFastaRecords(text) {
+    const records = {};
+    let name = null;
+    (text || '').split(/\r?\n/).forEach(line => {
+      if (line.startsWith('>')) {
+        name = line.substring(1).trim().split(/\s+/)[0];
+        records[name] = '';
+      } else if (name !== null) {
+        records[name] += line.trim();
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Parse GFF3 features, with sequences from its ##FASTA section or a separate
+   * FASTA text. Attribute names are mapped onto GenBank-style qualifiers
+   * (Name -> label, Note -> note) so both formats import the same way.
+   * @param {string} text - GFF3 text
+   * @param {string} fastaText - Optional FASTA when the GFF3 has no ##FASTA section
+   * @returns {Array} Records as parseGenBank, one per sequence id
+   */
+  function parseGFF3(text, fastaText) {
+    const body = text || '';
+    const fastaAt = body.search(/^##FASTA\s*$/m);
+    const annotations = fastaAt >= 0 ? body.substring(0, fastaAt) : body;
+    const sequences = { ...parseFastaRecords(fastaText), ...(fastaAt >= 0 ? parseFastaRecords(body.substring(fastaAt).replace(/^##FASTA\s*/, '')) : {}) };
+    const byId = {};
+    const order = [];
+    const recordFor = (id) => {
+      if (!byId[id]) {
+        byId[id] = { name: id, definition: '', features: [] };
+        order.push(id);
+      }
+      return byId[id];
+    };
+
+    annotations.split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.startsWith('#')) return;
+      const cols = line.split('\t');
+      if (cols.length < 9) return;
+      const start = parseInt(cols[3], 10);
+      const end = parseInt(cols[4], 10);
+      if (isNaN(start) || isNaN(end)) return;
+      const qualifiers = {};
+      cols[8].split(';').forEach(pair => {
+        const eq = pair.indexOf('=');
+        if (eq < 0) return;
+        const key = pair.substring(0, eq).trim();
+        const name = key === 'Name' ? 'label' : key === 'Note' ? 'note' : key;
+        const values = pair.substring(eq + 1).split(',').map(v => decodeURIComponent(v));
+        (qualifiers[name] = qualifiers[name] || []).push(...values);
+      });
+      recordFor(cols[0]).features.push({
+        key: cols[2],
+        start: start - 1,
+        end,
+        strand: cols[6] === '-' ? -1 : 1,
+        partialStart: false,
+        partialEnd: !!qualifiers.end_range,
+        joined: false,
+        qualifiers
+      });
+    });
+    Object.keys(sequences).forEach(id => recordFor(id));
+
+    return order.map(id => ({ ...byId[id], sequence: toRNA(sequences[id] || '') }));
+  }
+
+  /**
+   * Parse GenBank or GFF3 text, detected from its first line.
+   * @param {string} text - File contents
+   * @param {string} fastaText - Optional FASTA companion for GFF3
+   * @returns {Array} Records (see parseGenBank)
+   */
+  function parseAnnotatedSequence(text, fastaText) {
+    const head = (text || '').trimStart();
+    if (/^LOCUS\s/.test(head)) return parseGenBank(text);
+    if (/^##gff-version\s+3/.test(head)) return parseGFF3(text, fastaText);
+    throw new Error('Expected a GenBank (LOCUS ...) or GFF3 (##gff-version 3) file');
+  }
+
+  function qualifierText(feature, names) {
+    return names.flatMap(n => feature.qualifiers[n] || []).join(' ');
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Registered reporters and tags are recognised by type, name or alias in
+  // gene/label/product text (e.g. hRluc, luc2, EGFP, 3xFLAG)
+  function reporterMatchers() {
+    const eng = engine();
+    if (!eng || !eng.listReporters) return [];
+    return eng.listReporters().map(r => {
+      const words = [r.type, r.name, ...(r.aliases || [])].filter(Boolean).map(escapeRegExp);
+      return { type: r.type, kind: r.kind, pattern: new RegExp(`(?:^|[^a-z])(?:${words.join('|')})(?![a-z])`, 'i') };
+    });
+  }
+
+  function featureName(feature) {
+    const named = ['label', 'gene', 'product', 'standard_name', 'ID'].find(n => (feature.qualifiers[n] || [])[0]);
+    return named ? feature.qualifiers[named][0] : (qualifierText(feature, ['note']).substring(0, 40) || feature.key);
+  }
+
+  // Exported regions carry their type in a region=TYPE note
+  function classifyFeature(feature, matchers = reporterMatchers()) {
+    const notes = feature.qualifiers.note || [];
+    const tagged = notes.map(n => /(?:^|;\s*)region=([A-Z0-9_]+)/.exec(n)).find(Boolean);
+    if (tagged) return { role: reporterInfo(tagged[1]) ? 'reporter' : 'region', type: tagged[1], tagged: true };
+    if (notes.some(n => /(?:^|;\s*)translon=/.test(n))) return { role: 'predicted' };
+    if (GENBANK_KEYS[feature.key]) return { role: 'region', type: GENBANK_KEYS[feature.key] };
+    if (SPAN_KEYS.includes(feature.key)) return { role: 'span' };
+
+    const text = qualifierText(feature, ['gene', 'label', 'product', 'standard_name', 'note', 'ID']);
+    if (feature.key === 'CDS' || feature.key === 'gene') {
+      const reporter = matchers.find(r => r.kind !== 'tag' && r.pattern.test(text));
+      if (reporter) return { role: 'reporter', type: reporter.type };
+      return feature.key === 'CDS' ? { role: 'orf' } : { role: 'ignore' };
+    }
+    if (MISC_KEYS.includes(feature.key)) {
+      if (feature.key === 'internal_ribosome_entry_site' || /\bIRES\b/i.test(text)) return { role: 'region', type: 'IRES' };
+      const tag = matchers.find(r => r.kind === 'tag' && r.pattern.test(text));
+      if (tag) return { role: 'reporter', type: tag.type };
+      return { role: 'region', type: 'CUSTOM' };
+    }
+    return { role: 'ignore' };
+  }
+
+  /**
+   * Map an imported record onto construct region specs and known ORFs.
+   *
+   * The transcribed span is the mRNA/transcript feature when present, otherwise
+   * the extent of the UTR, reporter and misc_feature annotations. UTRs, IRESs
+   * and other misc_features become slices of that span (CUSTOM unless recognised),
+   * CDS matching a registered reporter (RDGEngine.listReporters: type, name or
+   * alias) become reporter regions (RLUC_NO_STOP when an RLuc CDS has no stop
+   * codon), misc_features naming a registered tag become tag regions, and their
+   * sequences are returned in reporterCDS for getReporterCDS; unannotated gaps
+   * become CUSTOM slices.
+   * Features tagged region=TYPE (toGenBank/toGFF3 output) keep their type.
+   * Other CDS inside the span are known ORFs. Minus-strand features are skipped.
+   *
+   * @param {Object} record - Parsed record (parseGenBank / parseGFF3)
+   * @returns {Object} { name, sequence (span, RNA), offset (0-based span start in the
+   *          record), regions: [{ name, type, start, end }] (1-based, span coordinates),
+   *          knownORFs: [{ name, startNt, endNt, frame, startCodon, reporter }]
+   *          (0-based, span coordinates), reporterCDS: { [reporter type]: RNA }, warnings }
+   */
+  function importConstruct(record, options = {}) {
+    const full = record.sequence || '';
+    if (full.length === 0) throw new Error(`No sequence found for ${record.name}`);
+    const warnings = [];
+    const matchers = reporterMatchers();
+    const classified = (record.features || [])
+      .filter(f => f.end > f.start && f.end <= full.length)
+      .map(f => ({ feature: f, ...classifyFeature(f, matchers) }));
+    classified.filter(c => c.feature.strand === -1).forEach(c => {
+      if (c.role !== 'ignore') warnings.push(`Skipped minus-strand ${c.feature.key} ${featureName(c.feature)}`);
+    });
+    const forward = classified.filter(c => c.feature.strand !== -1 && c.role !== 'ignore' && c.role !== 'predicted');
+
+    const spanFeature = forward.find(c => c.role === 'span');
+    const spanning = forward.filter(c => c.role === 'region' || c.role === 'reporter');
+    let spanStart = 0;
+    let spanEnd = full.length;
+    if (spanFeature) {
+      spanStart = spanFeature.feature.start;
+      spanEnd = spanFeature.feature.end;
+    } else if (spanning.length) {
+      spanStart = Math.min(...spanning.map(c => c.feature.start));
+      spanEnd = Math.max(...spanning.map(c => c.feature.end));
+    }
+    const sequence = full.substring(spanStart, spanEnd);
+    const inSpan = forward.filter(c => c.feature.start >= spanStart && c.feature.end <= spanEnd);
+
+    // Regions: non-overlapping, 5'->3'; the longer feature wins on overlap
+    const candidates = inSpan.filter(c => c.role === 'region' || c.role === 'reporter')
+      .sort((a, b) => a.feature.start - b.feature.start || (b.feature.end - b.feature.start) - (a.feature.end - a.feature.start));
+    const regions = [];
+    const reporterCDS = {};
+    let cursor = spanStart;
+    const addSlice = (type, name, start, end) => {
+      regions.push({ name, type, start: start - spanStart + 1, end: end - spanStart });
+    };
+    candidates.forEach(c => {
+      const f = c.feature;
+      if (f.start < cursor) {
+        warnings.push(`Skipped ${f.key} ${featureName(f)} (${f.start + 1}-${f.end}) overlapping an earlier region`);
+        return;
+      }
+      if (f.start > cursor) {
+        const gap = full.substring(cursor, f.start);
+        if (gap === 'GGG' && c.role === 'reporter') addSlice('PAD_G3', 'GGG pad', cursor, f.start);
+        else if (regions.length === 0) addSlice('5UTR', "5' leader", cursor, f.start);
+        else addSlice('CUSTOM', 'Unannotated', cursor, f.start);
+      }
+      let type = c.type;
+      if (c.role === 'reporter') {
+        // Reporter regions insert getReporterCDS sequences, so pass the plasmid's own CDS along
+        const cds = full.substring(f.start, f.end);
+        const info = reporterInfo(type) || { type, kind: 'reporter' };
+        if (!c.tagged && type === 'RLUC' && !STOP_CODONS.includes(cds.slice(-3))) type = 'RLUC_NO_STOP';
+        if (info.kind === 'tag') {
+          if (!reporterCDS[info.type]) reporterCDS[info.type] = cds;
+        } else if (type !== 'RLUC_WEAK' && cds.startsWith('AUG')) {
+          reporterCDS[info.type] = reporterCDS[info.type] || cds;
+        } else if (type !== 'RLUC_WEAK') {
+          warnings.push(`${featureName(f)} does not start with AUG; the library ${info.type} sequence is used`);
+        }
+      } else if (c.tagged && type === 'PAD_G3' && full.substring(f.start, f.end) !== 'GGG') {
+        type = 'CUSTOM';
+      }
+      addSlice(type, featureName(f), f.start, f.end);
+      cursor = f.end;
+    });
+    if (cursor < spanEnd && regions.length) addSlice('3UTR', "3' end", cursor, spanEnd);
+    if (regions.length === 0) addSlice('5UTR', 'Transcript', spanStart, spanEnd);
+
+    const knownORFs = inSpan.filter(c => c.role === 'orf' || c.role === 'reporter').map(c => {
+      const f = c.feature;
+      const startNt = f.start - spanStart;
+      return {
+        name: featureName(f),
+        startNt,
+        endNt: f.end - spanStart,
+        frame: startNt % 3,
+        startCodon: sequence.substring(startNt, startNt + 3),
+        reporter: c.role === 'reporter' ? c.type : null
+      };
+    }).sort((a, b) => a.startNt - b.startNt);
+
+    if (options.name) record = { ...record, name: options.name };
+    return { name: record.name, sequence, offset: spanStart, regions, knownORFs, reporterCDS, warnings };
+  }
+
+  const api = {
+    REGION_FEATURES,
+    mapBasePosition,
+    buildConstructFeatures,
+    toGenBank,
+    toGenBankMulti,
+    toGFF3,
+    parseLocation,
+    parseGenBank,
+    parseGFF3,
+    parseAnnotatedSequence,
+    importConstruct
+  };
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = api; else global.ConstructIO = api;
+})(typeof window !== 'undefined' ? window : globalThis);
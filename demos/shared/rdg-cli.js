@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+/**
+ * RDG Command-Line Interface
+ *
+ * Runs the shared RDG engine outside the browser so design runs can be scripted.
+ *
+ * Usage:
+ *   node rdg-cli.js <command> [input] [options]
+ *
+ * Commands:
+ *   annotate   identifyFeatures: start codons, canonical CDS and uORFs per record
+ *   translons  buildTranslons: translons with flux, MW and classification
+ *   assemble   assembleConstruct: build a reporter construct from a region spec
+ *   products   predictProteinProducts: predicted blot bands for an assembled construct
+ *   controls   MINDR.generateControls: control constructs for a target start
+ *   batch      runBatchAnalysis: uORFs, CDS, near-cognate starts and flux per record
+ *
+ * Input is a FASTA file, a JSON file ({ sequence } / [{ id, sequence }] / a region
+ * spec), a plain sequence file, or '-' for stdin.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RDGEngine = require('./rdg-engine.js');
+const MINDR = require('./mindr.js');
+const ConstructIO = require('./construct-io.js');
+
+const USAGE = `Usage: node rdg-cli.js <command> [input] [options]
+
+Commands:
+  annotate    Annotate start codons, canonical CDS and uORFs (identifyFeatures)
+  translons   List translons with predicted flux (buildTranslons)
+  assemble    Assemble a construct from a region spec (assembleConstruct)
+  products    Predict protein products / blot bands (predictProteinProducts)
+  controls    Generate MINDR control constructs (MINDR.generateControls)
+  batch       Summarise every FASTA record (runBatchAnalysis)
+
+Input:
+  FASTA, JSON or plain sequence file; '-' or no input reads stdin
+
+Options:
+  --format json|tsv|fasta|genbank|gff3
+                            Output format (default json; fasta for assemble and controls,
+                            genbank and gff3 for assemble and products)
+  --output FILE             Write to FILE instead of stdout
+  --params FILE|JSON        RDG parameter overrides
+  --regions FILE|JSON       Region spec for assemble/products: [{type, start, end}]
+  --reporters FILE|JSON     Extra reporters/tags to register ({TYPE: {cds|mw|epitope, epitopes, antibody, color}})
+  --antibodies NAME,...     Keep products with an intact epitope for these antibodies (products)
+  --limit N                 Translons to report (default 12)
+  --target POS              Start codon position for controls (1-based nt)
+  --name NAME               Target name for controls (default: record id)
+  --readthrough POS,...     Readthrough stop positions (1-based nt)
+  --uncertainty FILE|JSON   Parameter distributions for credible intervals on translons/products
+                            ({param: {type, ...}}), or 'default' for uniform ±20%
+  --samples N               Parameter draws for --uncertainty (default 100)
+  --help                    Show this help
+`;
+
+// ============================================================================
+// ARGUMENTS AND INPUT
+// ============================================================================
+
+function parseArgs(argv) {
+    const args = { command: null, input: null, options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            args.options.help = true;
+        } else if (arg.startsWith('--')) {
+            const eq = arg.indexOf('=');
+            if (eq !== -1) {
+                args.options[arg.substring(2, eq)] = arg.substring(eq + 1);
+            } else {
+                args.options[arg.substring(2)] = argv[++i];
+            }
+        } else if (!args.command) {
+            args.command = arg;
+        } else if (!args.input) {
+            args.input = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+    return args;
+}
+
+function readInput(input) {
+    if (!input || input === '-') return fs.readFileSync(0, 'utf8');
+    return fs.readFileSync(input, 'utf8');
+}
+
+// Accept a file path or inline JSON
+function readJSONOption(value, label) {
+    if (value === undefined) return undefined;
+    const text = fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`--${label} is neither a readable file nor valid JSON: ${e.message}`);
+    }
+}
+
+/**
+ * Parse input text into sequence records and an optional embedded region spec
+ * @returns {Object} { records: [{ id, description, sequence }], regions }
+ */
+function parseRecords(text, fallbackId = 'sequence_1') {
+    const trimmed = (text || '').trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const data = JSON.parse(trimmed);
+        const list = Array.isArray(data) ? data : (data.records || [data]);
+        const records = list
+            .filter(r => typeof r === 'string' || r.sequence || r.baseSequence)
+            .map((r, idx) => {
+                const item = typeof r === 'string' ? { sequence: r } : r;
+                const id = item.id || item.name || (list.length === 1 ? fallbackId : `sequence_${idx + 1}`);
+                return RDGEngine.parseMultiFasta(`>${id}\n${item.sequence || item.baseSequence}`)[0];
+            });
+        return { records, regions: Array.isArray(data) ? undefined : data.regions };
+    }
+    const records = RDGEngine.parseMultiFasta(trimmed);
+    if (records.length === 1 && records[0].id === 'sequence_1') records[0].id = fallbackId;
+    return { records, regions: undefined };
+}
+
+function parseUncertainty(options) {
+    if (options.uncertainty === undefined) return undefined;
+    const spec = {};
+    if (options.uncertainty !== 'default') spec.distributions = readJSONOption(options.uncertainty, 'uncertainty');
+    if (options.samples !== undefined) spec.samples = parseInt(options.samples, 10);
+    return spec;
+}
+
+function parsePositions(value) {
+    if (!value) return [];
+    return String(value).split(',').map(v => parseInt(v, 10) - 1).filter(v => v >= 0);
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+function readthroughFor(sequence, positions) {
+    return positions.map(pos => ({ pos, frame: pos % 3, codon: sequence.substring(pos, pos + 3), probability: 1 }));
+}
+
+function annotateRecord(record, ctx) {
+    const readthroughStops = readthroughFor(record.sequence, ctx.readthrough);
+    const features = RDGEngine.identifyFeatures(record.sequence, { readthroughStops, params: ctx.params });
+    return { id: record.id, length: record.sequence.length, features };
+}
+
+function translonsForRecord(record, ctx) {
+    const readthroughStops = readthroughFor(record.sequence, ctx.readthrough);
+    const features = RDGEngine.identifyFeatures(record.sequence, { readthroughStops, params: ctx.params });
+    const translons = RDGEngine.buildTranslons(record.sequence, {
+        features,
+        limit: ctx.limit,
+        readthroughStops,
+        params: ctx.params,
+        uncertainty: ctx.uncertainty
+    });
+    return { id: record.id, length: record.sequence.length, translons };
+}
+
+function assembleRecord(record, ctx) {
+    if (!ctx.regions || ctx.regions.length === 0) {
+        throw new Error(`${ctx.command} needs a region spec (--regions or "regions" in the JSON input)`);
+    }
+    const assembled = RDGEngine.assembleConstruct(record.sequence, ctx.regions);
+    return { id: record.id, baseLength: record.sequence.length, ...assembled };
+}
+
+function productsForRecord(record, ctx) {
+    const construct = assembleRecord(record, ctx);
+    const prepared = RDGEngine.prepareConstructForPrediction({
+        name: record.id,
+        sequence: construct.sequence,
+        regions: construct.regions,
+        readthroughStops: readthroughFor(construct.sequence, ctx.readthrough)
+    }, ctx.params);
+    const translons = RDGEngine.buildTranslons(prepared.sequence, {
+        features: prepared.features,
+        limit: ctx.limit,
+        ensureStarts: prepared.ensureStarts,
+        readthroughStops: prepared.readthroughStops,
+        entrySites: prepared.entrySites,
+        params: ctx.params,
+        uncertainty: ctx.uncertainty
+    });
+    let products = RDGEngine.predictProteinProducts(translons, prepared.constructMap);
+    if (ctx.antibodies) products = RDGEngine.productsForAntibodies(products, ctx.antibodies);
+    return { id: record.id, sequence: prepared.sequence, regions: construct.regions, translons, products };
+}
+
+function controlsForRecord(record, ctx) {
+    if (ctx.target === null) throw new Error('controls needs --target (1-based start codon position)');
+    const features = RDGEngine.identifyFeatures(record.sequence, { params: ctx.params });
+    const target = { name: ctx.name || record.id, startPos: ctx.target };
+    const controls = MINDR.generateControls(record.sequence, features, target).map(control => {
+        let sequence = record.sequence;
+        Object.entries(control.mutations).forEach(([pos, codon]) => {
+            const p = parseInt(pos, 10);
+            sequence = sequence.substring(0, p) + codon + sequence.substring(p + 3);
+        });
+        return { ...control, sequence };
+    });
+    return { id: record.id, target, controls };
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+function toTSV(columns, rows) {
+    const cell = (v) => (v === null || v === undefined ? '' : String(v).replace(/[\t\r\n]+/g, ' '));
+    return [columns.join('\t'), ...rows.map(row => columns.map(c => cell(row[c])).join('\t'))].join('\n') + '\n';
+}
+
+const round = (v, digits = 4) => (typeof v === 'number' ? Number(v.toFixed(digits)) : v);
+
+// TSV layouts: positions 1-based and inclusive, one row per item
+const TSV_FORMATTERS = {
+    annotate: (results) => toTSV(
+        ['id', 'pos', 'codon', 'frame', 'stop', 'orf_length', 'kozak', 'p_init', 'feature'],
+        results.flatMap(r => {
+            const canonical = r.features.canonical.start ? r.features.canonical.start.pos : null;
+            const uorfs = new Set(r.features.predicted.uorfs.map(u => u.start));
+            return r.features.predicted.startCodons.map(s => ({
+                id: r.id,
+                pos: s.pos + 1,
+                codon: s.codon,
+                frame: s.frame,
+                stop: s.stopPos,
+                orf_length: s.orfLength,
+                kozak: round(s.kozakScore),
+                p_init: round(s.initiationProbability),
+                feature: s.pos === canonical ? 'CDS' : (uorfs.has(s.pos) ? 'uORF' : '')
+            }));
+        })
+    ),
+    translons: (results) => toTSV(
+        ['id', 'name', 'start', 'end', 'frame', 'start_codon', 'classification', 'kozak', 'p_init', 'flux', 'flux_lower', 'flux_upper', 'mw_kda', 'aa_length'],
+        results.flatMap(r => r.translons.map(t => ({
+            id: r.id,
+            name: t.name,
+            start: t.startNt + 1,
+            end: t.endNt,
+            frame: t.frame,
+            start_codon: t.startCodon,
+            classification: t.classification,
+            kozak: round(t.kozakScore),
+            p_init: round(t.initiationProbability),
+            flux: round(t.predictedAbundance),
+            flux_lower: t.abundanceInterval ? round(t.abundanceInterval.lower) : null,
+            flux_upper: t.abundanceInterval ? round(t.abundanceInterval.upper) : null,
+            mw_kda: round(t.predictedProteinSize, 2),
+            aa_length: t.aaSequence.length
+        })))
+    ),
+    assemble: (results) => toTSV(
+        ['id', 'type', 'start', 'end', 'length'],
+        results.flatMap(r => r.regions.map(region => ({
+            id: r.id,
+            type: region.type,
+            start: region.start + 1,
+            end: region.end,
+            length: region.end - region.start
+        })))
+    ),
+    products: (results) => toTSV(
+        ['id', 'name', 'start', 'end', 'reporters', 'antibodies', 'apparent_mw_kda', 'theoretical_mw_kda', 'abundance', 'abundance_lower', 'abundance_upper', 'detectable'],
+        results.flatMap(r => r.products.map(p => ({
+            id: r.id,
+            name: p.name,
+            start: p.startPos + 1,
+            end: p.endPos,
+            reporters: p.reporters.join('+'),
+            antibodies: (p.antibodies || []).join(','),
+            apparent_mw_kda: round(p.mw, 2),
+            theoretical_mw_kda: round(p.theoreticalMW, 2),
+            abundance: round(p.abundance),
+            abundance_lower: p.abundanceInterval ? round(p.abundanceInterval.lower) : null,
+            abundance_upper: p.abundanceInterval ? round(p.abundanceInterval.upper) : null,
+            detectable: p.detectable
+        })))
+    ),
+    controls: (results) => toTSV(
+        ['id', 'label', 'mutations'],
+        results.flatMap(r => r.controls.map(c => ({
+            id: r.id,
+            label: c.label,
+            mutations: Object.entries(c.mutations).map(([pos, codon]) => `${parseInt(pos, 10) + 1}:${codon}`).join(';')
+        })))
+    ),
+    batch: (results) => RDGEngine.batchResultsToTSV(results)
+};
+
+function toFASTA(entries) {
+    return entries.map(e => `>${e.id}\n${e.sequence.match(/.{1,60}/g).join('\n')}`).join('\n') + '\n';
+}
+
+const FASTA_FORMATTERS = {
+    assemble: (results) => toFASTA(results.map(r => ({ id: r.id, sequence: r.sequence }))),
+    controls: (results) => toFASTA(results.flatMap(r => r.controls.map(c => ({
+        id: `${r.id} ${c.label}`,
+        sequence: c.sequence
+    }))))
+};
+
+// Annotated exports: regions for assemble, regions plus translons for products
+function toConstructs(results, ctx) {
+    return results.map(r => ({
+        name: r.id,
+        sequence: r.sequence,
+        regions: r.regions,
+        sourceRegions: ctx.regions,
+        translons: r.translons
+    }));
+}
+
+const ANNOTATED_FORMATTERS = {
+    genbank: (results, ctx) => ConstructIO.toGenBankMulti(toConstructs(results, ctx), { geneticCode: ctx.params.geneticCode }),
+    gff3: (results, ctx) => ConstructIO.toGFF3(toConstructs(results, ctx), { geneticCode: ctx.params.geneticCode })
+};
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+const COMMANDS = {
+    annotate: annotateRecord,
+    translons: translonsForRecord,
+    assemble: assembleRecord,
+    products: productsForRecord,
+    controls: controlsForRecord
+};
+
+function run(argv) {
+    const { command, input, options } = parseArgs(argv);
+    if (options.help || !command) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (!COMMANDS[command] && command !== 'batch') {
+        throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+
+    const fallbackId = input && input !== '-' ? path.basename(input).replace(/\.[^.]+$/, '') : 'sequence_1';
+    const { records, regions } = parseRecords(readInput(input), fallbackId);
+    if (records.length === 0) throw new Error('No sequences found in input');
+
+    const reporters = readJSONOption(options.reporters, 'reporters') || {};
+    Object.entries(reporters).forEach(([type, spec]) => RDGEngine.registerReporter(type, spec));
+
+    const params = { ...RDGEngine.DEFAULT_RDG_PARAMS, ...(readJSONOption(options.params, 'params') || {}) };
+    const ctx = {
+        command,
+        params,
+        regions: readJSONOption(options.regions, 'regions') || regions,
+        limit: options.limit !== undefined ? parseInt(options.limit, 10) : 12,
+        target: options.target !== undefined ? parseInt(options.target, 10) - 1 : null,
+        name: options.name,
+        readthrough: parsePositions(options.readthrough),
+        antibodies: options.antibodies ? options.antibodies.split(',').map(a => a.trim()).filter(Boolean) : null,
+        uncertainty: parseUncertainty(options)
+    };
+
+    const results = command === 'batch'
+        ? RDGEngine.runBatchAnalysis(records, { params, limit: options.limit !== undefined ? ctx.limit : 5 })
+        : records.map(record => COMMANDS[command](record, ctx));
+
+    const format = options.format || 'json';
+    let output;
+    if (format === 'json') {
+        output = JSON.stringify(results, null, 2) + '\n';
+    } else if (format === 'tsv') {
+        output = TSV_FORMATTERS[command](results);
+    } else if (format === 'fasta' && FASTA_FORMATTERS[command]) {
+        output = FASTA_FORMATTERS[command](results);
+    } else if (ANNOTATED_FORMATTERS[format] && (command === 'assemble' || command === 'products')) {
+        output = ANNOTATED_FORMATTERS[format](results, ctx);
+    } else {
+        throw new Error(`Format ${format} is not available for ${command}`);
+    }
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run(process.argv.slice(2));
+    } catch (e) {
+        process.stderr.write(`rdg-cli: ${e.message}\n`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { run, parseArgs, parseRecords };
@@ -14,49 +14,253 @@
 // ============================================================================
 
 const RDG_CONSTANTS = {
+    // efficiency: initiation relative to AUG in the same context. Near-cognate
+    // ordering follows reporter measurements (Kearse & Wilusz 2017;
+    // Diaz de Arce et al. 2018), scaled so CUG matches the former flat penalty.
     START_CODONS: {
-        AUG: { isCanonical: true, name: 'AUG' },
-        CUG: { isCanonical: false, name: 'CUG' },
-        UUG: { isCanonical: false, name: 'UUG' },
-        GUG: { isCanonical: false, name: 'GUG' },
-        ACG: { isCanonical: false, name: 'ACG' },
-        AUU: { isCanonical: false, name: 'AUU' },
-        AUA: { isCanonical: false, name: 'AUA' },
-        AUC: { isCanonical: false, name: 'AUC' }
+        AUG: { isCanonical: true, name: 'AUG', efficiency: 1.0 },
+        CUG: { isCanonical: false, name: 'CUG', efficiency: 0.5 },
+        UUG: { isCanonical: false, name: 'UUG', efficiency: 0.2 },
+        GUG: { isCanonical: false, name: 'GUG', efficiency: 0.35 },
+        ACG: { isCanonical: false, name: 'ACG', efficiency: 0.3 },
+        AUU: { isCanonical: false, name: 'AUU', efficiency: 0.12 },
+        AUA: { isCanonical: false, name: 'AUA', efficiency: 0.1 },
+        AUC: { isCanonical: false, name: 'AUC', efficiency: 0.08 }
+    },
+    STOP_CODONS: ['UAA', 'UAG', 'UGA'], // Standard code; see getGeneticCode() for other tables
+
+    // Standard genetic code (NCBI translation table 1)
+    STANDARD_CODE: {
+        'UUU': 'F', 'UUC': 'F', 'UUA': 'L', 'UUG': 'L',
+        'UCU': 'S', 'UCC': 'S', 'UCA': 'S', 'UCG': 'S',
+        'UAU': 'Y', 'UAC': 'Y', 'UAA': '*', 'UAG': '*',
+        'UGU': 'C', 'UGC': 'C', 'UGA': '*', 'UGG': 'W',
+        'CUU': 'L', 'CUC': 'L', 'CUA': 'L', 'CUG': 'L',
+        'CCU': 'P', 'CCC': 'P', 'CCA': 'P', 'CCG': 'P',
+        'CAU': 'H', 'CAC': 'H', 'CAA': 'Q', 'CAG': 'Q',
+        'CGU': 'R', 'CGC': 'R', 'CGA': 'R', 'CGG': 'R',
+        'AUU': 'I', 'AUC': 'I', 'AUA': 'I', 'AUG': 'M',
+        'ACU': 'T', 'ACC': 'T', 'ACA': 'T', 'ACG': 'T',
+        'AAU': 'N', 'AAC': 'N', 'AAA': 'K', 'AAG': 'K',
+        'AGU': 'S', 'AGC': 'S', 'AGA': 'R', 'AGG': 'R',
+        'GUU': 'V', 'GUC': 'V', 'GUA': 'V', 'GUG': 'V',
+        'GCU': 'A', 'GCC': 'A', 'GCA': 'A', 'GCG': 'A',
+        'GAU': 'D', 'GAC': 'D', 'GAA': 'E', 'GAG': 'E',
+        'GGU': 'G', 'GGC': 'G', 'GGA': 'G', 'GGG': 'G'
+    },
+
+    // NCBI translation tables as differences from the standard code
+    GENETIC_CODES: {
+        1: { name: 'Standard', changes: {} },
+        2: { name: 'Vertebrate Mitochondrial', changes: { AGA: '*', AGG: '*', AUA: 'M', UGA: 'W' } },
+        3: { name: 'Yeast Mitochondrial', changes: { AUA: 'M', CUU: 'T', CUC: 'T', CUA: 'T', CUG: 'T', UGA: 'W' } },
+        4: { name: 'Mold, Protozoan, Coelenterate Mitochondrial and Mycoplasma', changes: { UGA: 'W' } },
+        5: { name: 'Invertebrate Mitochondrial', changes: { AGA: 'S', AGG: 'S', AUA: 'M', UGA: 'W' } },
+        6: { name: 'Ciliate, Dasycladacean and Hexamita Nuclear', changes: { UAA: 'Q', UAG: 'Q' } },
+        11: { name: 'Bacterial, Archaeal and Plant Plastid', changes: {} }
+    },
+
+    // Ribosome residence times (RRT) per codon from Weinberg et al. 2016.
+    // Higher RRT = slower decoding; decoding rate = elongation rate / RRT
+    CODON_RRT: {
+        UUA: 1.07, UUG: 0.94, CUU: 1.00, CUC: 1.89, CUA: 1.07, CUG: 0.91,
+        UCU: 0.94, UCC: 1.13, UCA: 1.12, UCG: 1.43, AGU: 0.96, AGC: 0.99,
+        CGU: 1.18, CGC: 1.45, CGA: 1.45, CGG: 1.44, AGA: 1.07, AGG: 1.59,
+        CCU: 1.26, CCC: 1.71, CCA: 1.38, CCG: 1.24,
+        ACU: 0.91, ACC: 0.70, ACA: 1.35, ACG: 1.15,
+        GCU: 0.92, GCC: 0.99, GCA: 1.09, GCG: 1.04,
+        GGU: 0.99, GGC: 1.02, GGA: 1.56, GGG: 1.61,
+        GUU: 0.75, GUC: 0.75, GUA: 1.06, GUG: 1.52,
+        AUU: 0.99, AUC: 0.84, AUA: 1.57,
+        UUU: 1.04, UUC: 0.99,
+        UAU: 1.09, UAC: 0.95,
+        UGU: 0.81, UGC: 1.23,
+        UGG: 1.53,
+        CAU: 1.10, CAC: 0.94,
+        CAA: 1.21, CAG: 0.90,
+        AAU: 1.08, AAC: 0.76,
+        AAA: 1.03, AAG: 0.74,
+        GAU: 0.76, GAC: 0.90,
+        GAA: 0.99, GAG: 0.82,
+        AUG: 1.09
+    },
+
+    // tRNA gene copy numbers per anticodon (5'→3'), approximate GtRNAdb counts
+    // (human hg19, S. cerevisiae S288C); used for tRNA adaptation index weights
+    TRNA_GENE_COPIES: {
+        human: {
+            AGC: 29, CGC: 4, UGC: 8,
+            ACG: 7, CCG: 4, CCU: 5, UCG: 6, UCU: 6,
+            GUU: 33, GUC: 19, GCA: 30,
+            CUG: 21, UUG: 11, CUC: 14, UUC: 13,
+            CCC: 8, GCC: 15, UCC: 9, GUG: 11,
+            AAU: 14, GAU: 3, UAU: 5,
+            AAG: 10, CAA: 6, CAG: 10, UAA: 7, UAG: 3,
+            CUU: 17, UUU: 16, CAU: 20, GAA: 12,
+            AGG: 10, CGG: 4, UGG: 7,
+            AGA: 11, CGA: 4, GCU: 8, UGA: 4,
+            AGU: 10, CGU: 6, UGU: 6,
+            CCA: 9, GUA: 14,
+            AAC: 11, CAC: 16, UAC: 5
+        },
+        yeast: {
+            AGC: 11, UGC: 5,
+            ACG: 6, CCG: 1, CCU: 1, UCU: 11,
+            GUU: 10, GUC: 16, GCA: 4,
+            CUG: 1, UUG: 9, CUC: 2, UUC: 14,
+            CCC: 2, GCC: 16, UCC: 3, GUG: 7,
+            AAU: 13, UAU: 2,
+            CAA: 10, GAG: 1, UAA: 7, UAG: 3,
+            CUU: 14, UUU: 7, CAU: 10, GAA: 10,
+            AGG: 2, UGG: 10,
+            AGA: 11, CGA: 1, GCU: 4, UGA: 3,
+            AGU: 11, CGU: 1, UGU: 4,
+            CCA: 6, GUA: 8,
+            AAC: 14, CAC: 2, UAC: 2
+        }
+    },
+
+    // Wobble penalties s for anticodon position 34 (rows; A34 read as inosine)
+    // against the codon's third base (dos Reis et al. 2004); Watson-Crick pairs cost 0
+    TAI_WOBBLE_PENALTIES: {
+        I: { U: 0, C: 0.28, A: 0.9999 },
+        G: { C: 0, U: 0.41 },
+        U: { A: 0, G: 0.68 },
+        C: { G: 0 }
+    },
+
+    // Nucleotides protected by scanning 40S and elongating 80S ribosomes
+    RIBOSOME_FOOTPRINTS: {
+        SCANNING: 15,
+        TRANSLATING: 30
     },
-    STOP_CODONS: ['UAA', 'UAG', 'UGA'],
 
     // Kozak consensus positions relative to AUG at 0
     KOZAK_CONSENSUS: {
         '-3': 'G',  // Critical
         '+4': 'G'   // Critical
+    },
+
+    // Kozak position weight matrices (nucleotide frequencies, -6..-1 and +4..+5;
+    // +1..+3 is the start codon itself). Approximate published compilations:
+    // vertebrate after Kozak 1987, yeast after Hamilton et al. 1987,
+    // plant (dicot) after Joshi et al. 1997.
+    KOZAK_PWMS: {
+        vertebrate: {
+            '-6': { A: 0.22, C: 0.28, G: 0.33, U: 0.17 },
+            '-5': { A: 0.26, C: 0.35, G: 0.23, U: 0.16 },
+            '-4': { A: 0.25, C: 0.53, G: 0.15, U: 0.07 },
+            '-3': { A: 0.61, C: 0.02, G: 0.36, U: 0.01 },
+            '-2': { A: 0.27, C: 0.49, G: 0.13, U: 0.11 },
+            '-1': { A: 0.15, C: 0.55, G: 0.21, U: 0.09 },
+            '+4': { A: 0.23, C: 0.16, G: 0.46, U: 0.15 },
+            '+5': { A: 0.26, C: 0.37, G: 0.14, U: 0.23 }
+        },
+        yeast: {
+            '-6': { A: 0.40, C: 0.13, G: 0.14, U: 0.33 },
+            '-5': { A: 0.42, C: 0.15, G: 0.12, U: 0.31 },
+            '-4': { A: 0.46, C: 0.17, G: 0.13, U: 0.24 },
+            '-3': { A: 0.75, C: 0.05, G: 0.12, U: 0.08 },
+            '-2': { A: 0.48, C: 0.18, G: 0.09, U: 0.25 },
+            '-1': { A: 0.44, C: 0.24, G: 0.10, U: 0.22 },
+            '+4': { A: 0.22, C: 0.20, G: 0.24, U: 0.34 },
+            '+5': { A: 0.20, C: 0.35, G: 0.15, U: 0.30 }
+        },
+        plant: {
+            '-6': { A: 0.30, C: 0.20, G: 0.20, U: 0.30 },
+            '-5': { A: 0.35, C: 0.20, G: 0.18, U: 0.27 },
+            '-4': { A: 0.40, C: 0.22, G: 0.16, U: 0.22 },
+            '-3': { A: 0.70, C: 0.05, G: 0.18, U: 0.07 },
+            '-2': { A: 0.40, C: 0.25, G: 0.13, U: 0.22 },
+            '-1': { A: 0.40, C: 0.35, G: 0.10, U: 0.15 },
+            '+4': { A: 0.18, C: 0.12, G: 0.55, U: 0.15 },
+            '+5': { A: 0.20, C: 0.45, G: 0.15, U: 0.20 }
+        }
+    },
+
+    // TISU element (SAAS-AUG-GCGGC; Elfakess & Dikstein 2008) for scanning-free
+    // initiation on very short leaders. S = G or C; numbering as in KOZAK_PWMS.
+    TISU_CONSENSUS: {
+        '-4': 'S', '-3': 'A', '-2': 'A', '-1': 'S',
+        '+4': 'G', '+5': 'C', '+6': 'G', '+7': 'G', '+8': 'C'
     }
 };
 
 // Default RDG model parameters
 const DEFAULT_RDG_PARAMS = {
     baseP: 0.9,              // Base initiation probability for ideal AUG (90%)
-    nearCognatePenalty: 0.5, // Multiplier for near-cognate starts
+    nearCognatePenalty: 0.5, // CUG efficiency; other near-cognates scale with START_CODONS efficiencies
+    startCodonEfficiencies: null, // Optional per-codon overrides used as given (not scaled by nearCognatePenalty), e.g. { ACG: 0.4 }
     distanceD0: 40,          // Distance decay constant (for ranking/auto-population only)
-    gcBonus: 0.3,            // Bonus for high downstream GC (structure slows scanning)
+    gcBonus: 0.3,            // Bonus for downstream structure (GC proxy or folded ΔG) that slows scanning
+    structureModel: 'gc',    // 'gc' (downstream GC fraction) or 'mfe' (folded ΔG windows; see foldRNA)
+    structureWindow: 40,     // Window (nt) folded upstream/downstream of each start in 'mfe' mode
+    structureScaleDG: 20,    // |ΔG| (kcal/mol) of a downstream window that counts as fully structured
+    scanningBlockDG: -30,    // ΔG (kcal/mol) at which a hairpin stops half of scanning 43S ('mfe' mode)
     reinitiationBase: 0.3,   // Base reinitiation rate
     lengthL0: 100,           // uORF length decay constant
-    spacingS0: 50            // Intercistronic spacing decay constant
+    spacingS0: 50,           // Intercistronic spacing decay constant
+    kozakPWM: 'vertebrate',  // Kozak PWM: preset name (RDG_CONSTANTS.KOZAK_PWMS) or custom matrix
+    capProximity: false,     // Penalise starts near the 5' cap (with TISU rescue on short leaders)
+    capHalfDistance: 12,     // Leader length (nt) at which a cap-proximal start reaches half efficiency
+    capFloor: 0.2,           // Relative efficiency of a start immediately at the cap
+    tisuMaxLeader: 30,       // Leaders up to this length can initiate via a TISU element
+    entryEfficiency: 0.3,    // Default loading of internal entry sites (IRES) relative to the cap
+    loadingRate: 0.05,       // Ribosomes loaded at the cap per second (steady-state output and ribosome load)
+    elongationRate: 5,       // Mean elongation rate (codons/sec); each codon scales by its residence time
+    codonTiming: 'rrt',      // Codon residence times: 'rrt' (CODON_RRT), 'tai' (tRNA adaptation index) or {codon: time}
+    tRNAPool: 'human',       // tRNA pool for 'tai': preset (RDG_CONSTANTS.TRNA_GENE_COPIES) or {anticodon: copies}
+    stallWindow: 3,          // Codons per window searched for slow-codon stalls
+    stallRRT: 1.5,           // Mean residence time of a window at which elongating ribosomes stall
+    geneticCode: 1           // NCBI translation table id (RDG_CONSTANTS.GENETIC_CODES) or custom code
 };
 
 // ============================================================================
 // SEQUENCE ANALYSIS
 // ============================================================================
 
+// Resolved genetic codes keyed by table id
+const geneticCodeCache = {};
+
+/**
+ * Resolve a genetic code to a full codon table and its stop codons
+ * Accepts an NCBI table id (RDG_CONSTANTS.GENETIC_CODES) or a custom
+ * { name, changes: { codon: aa } } object applied on top of the standard code.
+ * Unknown ids fall back to the standard code.
+ *
+ * @param {number|string|Object} code - Table id or custom code (default: 1)
+ * @returns {Object} { id, name, codons, stops }
+ */
+function getGeneticCode(code = DEFAULT_RDG_PARAMS.geneticCode) {
+    const isCustom = code !== null && typeof code === 'object';
+    const key = isCustom ? null : String(code);
+    if (key && geneticCodeCache[key]) return geneticCodeCache[key];
+
+    const definition = isCustom ? code : (RDG_CONSTANTS.GENETIC_CODES[key] || RDG_CONSTANTS.GENETIC_CODES[1]);
+    const codons = { ...RDG_CONSTANTS.STANDARD_CODE, ...(definition.changes || {}) };
+    const resolved = {
+        id: isCustom ? (definition.id ?? null) : (RDG_CONSTANTS.GENETIC_CODES[key] ? Number(key) : 1),
+        name: definition.name || 'Custom',
+        codons,
+        stops: Object.keys(codons).filter(c => codons[c] === '*')
+    };
+
+    if (key) geneticCodeCache[key] = resolved;
+    return resolved;
+}
+
 /**
  * Find all start codons in a sequence
  * @param {string} sequence - RNA sequence (AUGC format)
  * @param {Array} readthroughStops - Array of stop positions that can read through (optional)
+ * @param {Object} params - RDG model parameters (optional; kozakPWM selects the Kozak matrix,
+ *                          geneticCode the stop codons)
  * @returns {Array} Array of start codon objects with position, frame, type, etc.
  */
-function findStartCodons(sequence, readthroughStops = []) {
+function findStartCodons(sequence, readthroughStops = [], params = DEFAULT_RDG_PARAMS) {
     const startCodons = [];
     const startCodonList = Object.keys(RDG_CONSTANTS.START_CODONS);
+    const stops = getGeneticCode(params.geneticCode).stops;
 
     for (let i = 0; i < sequence.length - 2; i++) {
         const codon = sequence.substring(i, i + 3);
@@ -69,7 +273,7 @@ function findStartCodons(sequence, readthroughStops = []) {
             let stopPos = sequence.length;
             for (let j = i + 3; j < sequence.length - 2; j += 3) {
                 const stopCodon = sequence.substring(j, j + 3);
-                if (RDG_CONSTANTS.STOP_CODONS.includes(stopCodon)) {
+                if (stops.includes(stopCodon)) {
                     // Check if this stop can read through
                     const isReadthrough = readthroughStops.some(rt => rt.pos === j);
                     if (!isReadthrough) {
@@ -79,13 +283,13 @@ function findStartCodons(sequence, readthroughStops = []) {
                 }
             }
 
-            // Calculate Kozak context score
-            const kozakScore = calculateKozakScore(sequence, i);
+            // Calculate Kozak context score (-6..+5 against the PWM)
+            const kozakScore = calculateKozakScore(sequence, i, params.kozakPWM);
 
             // Calculate downstream GC content
             const gcContent = calculateDownstreamGC(sequence, i);
 
-            startCodons.push({
+            const start = {
                 pos: i,
                 codon: codon,
                 frame: frame,
@@ -94,33 +298,86 @@ function findStartCodons(sequence, readthroughStops = []) {
                 orfLength: stopPos - i,
                 kozakScore: kozakScore,
                 gcContent: gcContent
-            });
+            };
+            // Folding windows are only computed when the ΔG model is selected
+            if (params.structureModel === 'mfe') {
+                start.structure = estimateStartStructure(sequence, i, params);
+            }
+            if (params.capProximity && i <= (params.tisuMaxLeader || 0)) {
+                start.tisuScore = calculateTISUScore(sequence, i);
+            }
+            startCodons.push(start);
         }
     }
 
     return startCodons;
 }
 
+/**
+ * Resolve a Kozak PWM from a preset name or a user-supplied matrix.
+ * Custom matrices use the same shape as RDG_CONSTANTS.KOZAK_PWMS entries:
+ * { '-3': { A, C, G, U }, '+4': {...}, ... }. Rows may be counts or
+ * frequencies (T is accepted for U); each row is normalized with a small
+ * pseudocount so log-odds stay finite.
+ * @param {string|Object} pwm - Preset name or matrix
+ * @returns {Object} Normalized matrix keyed by offset
+ */
+function resolveKozakPWM(pwm) {
+    const source = (typeof pwm === 'string' ? RDG_CONSTANTS.KOZAK_PWMS[pwm] : pwm)
+        || RDG_CONSTANTS.KOZAK_PWMS.vertebrate;
+    const pseudo = 0.01;
+    const matrix = {};
+
+    for (const [offset, row] of Object.entries(source)) {
+        const counts = {
+            A: row.A || 0,
+            C: row.C || 0,
+            G: row.G || 0,
+            U: (row.U !== undefined ? row.U : row.T) || 0
+        };
+        const total = counts.A + counts.C + counts.G + counts.U + 4 * pseudo;
+        matrix[offset] = {};
+        for (const nt of ['A', 'C', 'G', 'U']) {
+            matrix[offset][nt] = (counts[nt] + pseudo) / total;
+        }
+    }
+
+    return matrix;
+}
+
 /**
  * Calculate Kozak context score (0 to 1)
- * Based on positions -3 and +4 relative to start codon
+ * Log-odds of positions -6..-1 and +4..+5 against a position weight matrix,
+ * scaled between the weakest and strongest possible context. Positions that
+ * fall outside the sequence (e.g. starts near the 5' end) are left out of
+ * both the score and the scaling range.
+ *
+ * @param {string} sequence - RNA sequence (AUGC format)
+ * @param {number} startPos - Position of the first nucleotide of the start codon
+ * @param {string|Object} pwm - PWM preset name or custom matrix (default vertebrate)
+ * @returns {number} Kozak score (0 = weakest context, 1 = consensus)
  */
-function calculateKozakScore(sequence, startPos) {
+function calculateKozakScore(sequence, startPos, pwm = DEFAULT_RDG_PARAMS.kozakPWM) {
+    const matrix = resolveKozakPWM(pwm);
+    const logOdds = (p) => Math.log2(p / 0.25);
     let score = 0;
+    let min = 0;
+    let max = 0;
 
-    // Check -3 position (most important)
-    if (startPos >= 3) {
-        const minus3 = sequence[startPos - 3];
-        if (minus3 === 'G' || minus3 === 'A') score += 0.6; // G is optimal, A is good
-    }
+    for (const [offset, row] of Object.entries(matrix)) {
+        const o = parseInt(offset, 10);
+        // -1 is the nt before the codon; +4 is the nt after it
+        const idx = o < 0 ? startPos + o : startPos + o - 1;
+        const nt = sequence[idx];
+        if (idx < 0 || !(nt in row)) continue;
 
-    // Check +4 position (also important)
-    if (startPos + 3 < sequence.length) {
-        const plus4 = sequence[startPos + 3];
-        if (plus4 === 'G') score += 0.4; // G is optimal
+        const values = Object.values(row).map(logOdds);
+        score += logOdds(row[nt]);
+        min += Math.min(...values);
+        max += Math.max(...values);
     }
 
-    return score;
+    return max > min ? (score - min) / (max - min) : 0.5;
 }
 
 /**
@@ -144,14 +401,16 @@ function calculateDownstreamGC(sequence, startPos, windowSize = 30) {
 /**
  * Find all stop codons in a sequence
  * @param {string} sequence - RNA sequence (AUGC format)
+ * @param {Object} params - RDG model parameters (optional; geneticCode selects the stop codons)
  * @returns {Array} Array of stop codon objects with position, frame, and codon type
  */
-function findStopCodons(sequence) {
+function findStopCodons(sequence, params = DEFAULT_RDG_PARAMS) {
     const stopCodons = [];
+    const stops = getGeneticCode(params.geneticCode).stops;
 
     for (let i = 0; i < sequence.length - 2; i++) {
         const codon = sequence.substring(i, i + 3);
-        if (RDG_CONSTANTS.STOP_CODONS.includes(codon)) {
+        if (stops.includes(codon)) {
             stopCodons.push({
                 pos: i,
                 codon: codon,
@@ -169,18 +428,22 @@ function findStopCodons(sequence) {
  * @param {Object} options - Additional options
  * @param {Array} options.readthroughStops - Optional readthrough stop annotations
  * @param {Object} options.params - Optional RDG parameter overrides
+ * @param {Object|Array} options.coverage - Optional Ribo-seq P-site counts; adds observed ORFs/translons
+ * @param {Object} options.orfCalling - Optional callTranslatedORFs thresholds
  * @returns {Object} Feature annotation object
  */
 function identifyFeatures(sequence, options = {}) {
     const params = options.params || DEFAULT_RDG_PARAMS;
     const readthroughStops = options.readthroughStops || [];
 
-    const startCodons = findStartCodons(sequence, readthroughStops).map((start, idx) => {
+    const startCodons = findStartCodons(sequence, readthroughStops, params).map((start, idx) => {
         const initiationProbability = calculateInitiationProbability(
             start.codon,
             start.kozakScore,
             start.gcContent,
-            params
+            params,
+            start.structure,
+            start
         );
 
         return {
@@ -190,7 +453,7 @@ function identifyFeatures(sequence, options = {}) {
         };
     });
 
-    const stopCodons = findStopCodons(sequence);
+    const stopCodons = findStopCodons(sequence, params);
     const sortedStarts = [...startCodons].sort((a, b) => a.pos - b.pos);
 
     const canonicalStart = sortedStarts
@@ -261,7 +524,7 @@ function identifyFeatures(sequence, options = {}) {
         }
     }
 
-    return {
+    const features = {
         canonical: {
             start: canonicalStart || null,
             cds: canonicalCDS,
@@ -275,6 +538,21 @@ function identifyFeatures(sequence, options = {}) {
             reinitiationSites
         }
     };
+
+    // Ribo-seq P-site coverage: call translated ORFs next to the predictions
+    if (options.coverage) {
+        const orfs = callTranslatedORFs(sequence, options.coverage, {
+            ...(options.orfCalling || {}),
+            startCodons: sortedStarts,
+            params
+        });
+        features.observed = {
+            orfs,
+            translons: buildObservedTranslons(sequence, orfs, features, params)
+        };
+    }
+
+    return features;
 }
 
 /**
@@ -283,9 +561,12 @@ function identifyFeatures(sequence, options = {}) {
  * @param {number} startPos - Starting position
  * @param {number} frame - Reading frame (0, 1, or 2)
  * @param {Array} readthroughStops - Stops that can read through
+ * @param {Object} params - RDG model parameters (optional; geneticCode selects the stop codons)
  * @returns {number} Position of next stop (or sequence length if none found)
  */
-function findNextStopInFrame(sequence, startPos, frame, readthroughStops = []) {
+function findNextStopInFrame(sequence, startPos, frame, readthroughStops = [], params = DEFAULT_RDG_PARAMS) {
+    const stops = getGeneticCode(params.geneticCode).stops;
+
     // Start searching from next codon in frame
     const searchStart = startPos + 3 - (startPos % 3) + frame;
 
@@ -293,7 +574,7 @@ function findNextStopInFrame(sequence, startPos, frame, readthroughStops = []) {
         if (j % 3 !== frame) continue; // Ensure we're in the right frame
 
         const stopCodon = sequence.substring(j, j + 3);
-        if (RDG_CONSTANTS.STOP_CODONS.includes(stopCodon)) {
+        if (stops.includes(stopCodon)) {
             // Check if this stop can read through
             const isReadthrough = readthroughStops.some(rt => rt.pos === j);
             if (!isReadthrough) {
@@ -317,34 +598,488 @@ function applyFrameshift(position, shift) {
     return { position: newPos, frame: newFrame };
 }
 
+/**
+ * Trace the protein products of one start through recoding sites
+ * Walks codons from the start; at each frameshift site ({pos, fromFrame, shift, probability})
+ * and each readthrough stop ({pos, probability}) the flux branches by the site's
+ * probability into a recoded path and an unrecoded path (terminated or in-frame).
+ * Each leaf is one product with its own end, coding sequence and fraction of the
+ * start's flux (fractions sum to 1).
+ *
+ * @param {string} sequence - RNA sequence
+ * @param {number} startPos - Position of the start codon
+ * @param {Object} options - { readthroughStops, frameshiftSites, maxEvents, minFraction, geneticCode }
+ * @returns {Array} Products {endNt, fraction, events, label, segments, codingLength, ntSequence, aaSequence}
+ */
+function traceRecodedProducts(sequence, startPos, options = {}) {
+    const readthroughStops = options.readthroughStops || [];
+    const frameshiftSites = options.frameshiftSites || [];
+    const maxEvents = typeof options.maxEvents === 'number' ? options.maxEvents : 4;
+    const minFraction = typeof options.minFraction === 'number' ? options.minFraction : 1e-4;
+    const clamp = (p) => Math.max(0, Math.min(1, p || 0));
+    const geneticCode = options.geneticCode !== undefined ? options.geneticCode : DEFAULT_RDG_PARAMS.geneticCode;
+    const stops = getGeneticCode(geneticCode).stops;
+    const products = [];
+
+    const emit = (coding, segments, segStart, endNt, events, fraction) => {
+        if (fraction < minFraction) return;
+
+        // Internal stops were read through; translateORF marks the inserted residue as X
+        const aaSequence = translateORF(coding, geneticCode);
+        products.push({
+            endNt,
+            fraction,
+            events,
+            label: events.map(e => e.label).join(','),
+            segments: [...segments, { start: segStart, end: endNt, frame: segStart % 3 }],
+            codingLength: coding.length,
+            ntSequence: coding,
+            aaSequence
+        });
+    };
+
+    const walk = (codonPos, coding, segments, segStart, events, fraction, usedSites) => {
+        for (let c = codonPos; ; c += 3) {
+            if (c + 3 > sequence.length) {
+                emit(coding, segments, segStart, sequence.length, events, fraction);
+                return;
+            }
+
+            // Frameshift sites take effect on entering the codon at or after site.pos
+            const site = c > startPos && events.length < maxEvents && frameshiftSites.find(fs =>
+                !usedSites.has(fs) &&
+                fs.pos > c - 3 && fs.pos <= c &&
+                (fs.fromFrame === undefined || fs.fromFrame === c % 3));
+            if (site && clamp(site.probability) > 0) {
+                const p = clamp(site.probability);
+                const shifted = c + site.shift;
+                walk(
+                    shifted,
+                    coding,
+                    [...segments, { start: segStart, end: c, frame: segStart % 3 }],
+                    shifted,
+                    [...events, { type: 'frameshift', pos: site.pos, shift: site.shift, label: `FS${site.shift > 0 ? '+' : ''}${site.shift}@${site.pos}` }],
+                    fraction * p,
+                    new Set([...usedSites, site])
+                );
+                fraction *= (1 - p);
+                if (fraction < minFraction) return;
+            }
+
+            const codon = sequence.substring(c, c + 3);
+            coding += codon;
+
+            if (c > startPos && stops.includes(codon)) {
+                const rt = readthroughStops.find(r => r.pos === c);
+                const p = rt && events.length < maxEvents ? clamp(rt.probability) : 0;
+
+                emit(coding, segments, segStart, c + 3, events, fraction * (1 - p));
+                if (p === 0) return;
+
+                fraction *= p;
+                events = [...events, { type: 'readthrough', pos: c, label: `RT@${c}` }];
+            }
+        }
+    };
+
+    walk(startPos, '', [], startPos, [], 1, new Set());
+    return products;
+}
+
+// ============================================================================
+// RNA STRUCTURE
+// ============================================================================
+
+// Nearest-neighbour free energies at 37 °C (kcal/mol; Turner 2004 / Mathews et al. 2004).
+// Stacks are keyed by outer pair (i,j) then inner pair (i+1,j-1); G·U stacks use one averaged value.
+const RNA_STACK_ENERGIES = (() => {
+    const wc = {
+        AU: { AU: -0.93, UA: -1.10, CG: -2.24, GC: -2.08 },
+        UA: { AU: -1.33, UA: -0.93, CG: -2.35, GC: -2.11 },
+        CG: { AU: -2.11, UA: -2.08, CG: -3.26, GC: -2.36 },
+        GC: { AU: -2.35, UA: -2.24, CG: -3.42, GC: -3.26 }
+    };
+    const pairs = ['AU', 'UA', 'CG', 'GC', 'GU', 'UG'];
+    const table = {};
+    pairs.forEach(outer => {
+        table[outer] = {};
+        pairs.forEach(inner => {
+            table[outer][inner] = (wc[outer] && wc[outer][inner] !== undefined) ? wc[outer][inner] : -0.5;
+        });
+    });
+    return table;
+})();
+
+const RNA_LOOP_ENERGIES = {
+    HAIRPIN: [Infinity, Infinity, Infinity, 5.4, 5.6, 5.7, 5.4, 6.0, 6.1, 6.2],
+    BULGE: [0, 3.8, 2.8, 3.2, 3.6, 4.0, 4.4],
+    INTERNAL: [0, 0, 0.5, 1.6, 1.1, 2.0, 2.0],
+    ASYMMETRY: 0.6,          // per unpaired-nt difference across an internal loop
+    MAX_ASYMMETRY: 3.0,
+    INTERNAL_AU_CLOSURE: 0.7, // per A·U / G·U pair closing an internal loop
+    TERMINAL_AU: 0.45,        // A·U / G·U at a helix end (exterior and multiloops)
+    MULTILOOP_A: 3.4,         // multiloop closure, per unpaired nt, per branch (Turner 1999)
+    MULTILOOP_B: 0,
+    MULTILOOP_C: 0.4,
+    RT: 0.6163                // kcal/mol at 37 °C
+};
+
+// Folded windows keyed by sequence (bounded so long sessions do not grow without limit)
+const foldCache = new Map();
+const FOLD_CACHE_LIMIT = 5000;
+
+/**
+ * Estimate the minimum free energy structure of a short RNA (Zuker-style DP)
+ * Nearest-neighbour stacking, hairpin/bulge/internal loop initiation with
+ * Jacobson-Stockmayer extrapolation, asymmetry and terminal A·U penalties,
+ * and a linear multiloop model. No terminal mismatches or dangles, so ΔG is an
+ * approximation suited to windows of up to ~100 nt.
+ *
+ * @param {string} sequence - RNA (or DNA) sequence
+ * @param {Object} options - { maxLoop: max unpaired nt in bulge/internal loops (default 20) }
+ * @returns {Object} { deltaG (kcal/mol, <= 0), structure (dot-bracket), pairs: [[i, j]] }
+ */
+function foldRNA(sequence, options = {}) {
+    const seq = (sequence || '').toUpperCase().replace(/T/g, 'U');
+    const maxLoop = options.maxLoop || 20;
+    const cacheKey = `${maxLoop}:${seq}`;
+    if (foldCache.has(cacheKey)) return foldCache.get(cacheKey);
+
+    const n = seq.length;
+    const E = RNA_LOOP_ENERGIES;
+    const INF = 1e9;
+    const V = new Float64Array(n * n).fill(INF);
+    const WM = new Float64Array(n * n).fill(INF);
+    const at = (i, j) => i * n + j;
+
+    const pairOf = (i, j) => seq[i] + seq[j];
+    const canPair = (i, j) => RNA_STACK_ENERGIES[pairOf(i, j)] !== undefined;
+    const terminalAU = (i, j) => (seq[i] === 'A' || seq[i] === 'U' || seq[j] === 'A' || seq[j] === 'U' ? E.TERMINAL_AU : 0);
+    const extrapolate = (table, size, coefficient) => (size < table.length
+        ? table[size]
+        : table[table.length - 1] + coefficient * Math.log(size / (table.length - 1)));
+
+    const hairpinEnergy = (i, j) => extrapolate(E.HAIRPIN, j - i - 1, 1.75 * E.RT);
+    const loopEnergy = (i, j, k, l) => {
+        const left = k - i - 1;
+        const right = j - l - 1;
+        if (left === 0 && right === 0) return RNA_STACK_ENERGIES[pairOf(i, j)][pairOf(k, l)];
+        if (left === 0 || right === 0) {
+            const size = left + right;
+            const bulge = extrapolate(E.BULGE, size, 1.75 * E.RT);
+            // Single-nt bulges keep the stack across them
+            return size === 1
+                ? bulge + RNA_STACK_ENERGIES[pairOf(i, j)][pairOf(k, l)]
+                : bulge + terminalAU(i, j) + terminalAU(k, l);
+        }
+        const closure = (terminalAU(i, j) ? E.INTERNAL_AU_CLOSURE : 0) + (terminalAU(k, l) ? E.INTERNAL_AU_CLOSURE : 0);
+        return extrapolate(E.INTERNAL, left + right, 1.08)
+            + Math.min(E.MAX_ASYMMETRY, E.ASYMMETRY * Math.abs(left - right))
+            + closure;
+    };
+
+    for (let d = 4; d < n; d++) {
+        for (let i = 0; i + d < n; i++) {
+            const j = i + d;
+            if (canPair(i, j)) {
+                let best = hairpinEnergy(i, j);
+                for (let k = i + 1; k <= i + maxLoop + 1 && k < j - 4; k++) {
+                    for (let l = j - 1; l > k + 3; l--) {
+                        if ((k - i - 1) + (j - l - 1) > maxLoop) break;
+                        const inner = V[at(k, l)];
+                        if (inner >= INF) continue;
+                        const e = inner + loopEnergy(i, j, k, l);
+                        if (e < best) best = e;
+                    }
+                }
+                for (let u = i + 2; u < j - 1; u++) {
+                    const e = WM[at(i + 1, u)] + WM[at(u + 1, j - 1)];
+                    if (e >= INF) continue;
+                    const total = e + E.MULTILOOP_A + E.MULTILOOP_C + terminalAU(i, j);
+                    if (total < best) best = total;
+                }
+                V[at(i, j)] = best;
+            }
+
+            let wm = Math.min(
+                V[at(i, j)] + E.MULTILOOP_C + terminalAU(i, j),
+                WM[at(i + 1, j)] + E.MULTILOOP_B,
+                WM[at(i, j - 1)] + E.MULTILOOP_B
+            );
+            for (let u = i + 1; u < j; u++) {
+                const e = WM[at(i, u)] + WM[at(u + 1, j)];
+                if (e < wm) wm = e;
+            }
+            WM[at(i, j)] = Math.min(INF, wm);
+        }
+    }
+
+    // Exterior loop: F[j] is the best energy of the prefix seq[0..j)
+    const F = new Float64Array(n + 1);
+    for (let j = 1; j <= n; j++) {
+        let best = F[j - 1];
+        for (let i = 0; i < j - 4; i++) {
+            const v = V[at(i, j - 1)];
+            if (v >= INF) continue;
+            const e = F[i] + v + terminalAU(i, j - 1);
+            if (e < best) best = e;
+        }
+        F[j] = best;
+    }
+
+    // Traceback
+    const pairs = [];
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    const stack = [['F', 0, n]];
+    while (stack.length) {
+        const [kind, i, j] = stack.pop();
+        if (kind === 'F') {
+            if (j <= 0) continue;
+            if (close(F[j], F[j - 1])) { stack.push(['F', 0, j - 1]); continue; }
+            for (let s = 0; s < j - 4; s++) {
+                const v = V[at(s, j - 1)];
+                if (v < INF && close(F[j], F[s] + v + terminalAU(s, j - 1))) {
+                    stack.push(['F', 0, s], ['V', s, j - 1]);
+                    break;
+                }
+            }
+        } else if (kind === 'V') {
+            pairs.push([i, j]);
+            const target = V[at(i, j)];
+            if (close(target, hairpinEnergy(i, j))) continue;
+            let found = false;
+            for (let k = i + 1; k <= i + maxLoop + 1 && k < j - 4 && !found; k++) {
+                for (let l = j - 1; l > k + 3; l--) {
+                    if ((k - i - 1) + (j - l - 1) > maxLoop) break;
+                    const inner = V[at(k, l)];
+                    if (inner < INF && close(target, inner + loopEnergy(i, j, k, l))) {
+                        stack.push(['V', k, l]);
+                        found = true;
+                        break;
+                    }
+                }
+            }
+            if (found) continue;
+            for (let u = i + 2; u < j - 1; u++) {
+                const e = WM[at(i + 1, u)] + WM[at(u + 1, j - 1)];
+                if (e < INF && close(target, e + E.MULTILOOP_A + E.MULTILOOP_C + terminalAU(i, j))) {
+                    stack.push(['M', i + 1, u], ['M', u + 1, j - 1]);
+                    break;
+                }
+            }
+        } else {
+            const target = WM[at(i, j)];
+            if (close(target, V[at(i, j)] + E.MULTILOOP_C + terminalAU(i, j))) { stack.push(['V', i, j]); continue; }
+            if (i + 1 <= j && close(target, WM[at(i + 1, j)] + E.MULTILOOP_B)) { stack.push(['M', i + 1, j]); continue; }
+            if (j - 1 >= i && close(target, WM[at(i, j - 1)] + E.MULTILOOP_B)) { stack.push(['M', i, j - 1]); continue; }
+            for (let u = i + 1; u < j; u++) {
+                if (close(target, WM[at(i, u)] + WM[at(u + 1, j)])) {
+                    stack.push(['M', i, u], ['M', u + 1, j]);
+                    break;
+                }
+            }
+        }
+    }
+
+    const structure = new Array(n).fill('.');
+    pairs.forEach(([i, j]) => { structure[i] = '('; structure[j] = ')'; });
+
+    const result = {
+        deltaG: n > 0 ? Math.min(0, Math.round(F[n] * 100) / 100) : 0,
+        structure: structure.join(''),
+        pairs: pairs.sort((a, b) => a[0] - b[0])
+    };
+    if (foldCache.size >= FOLD_CACHE_LIMIT) foldCache.clear();
+    foldCache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * Folding ΔG of the windows upstream and downstream of a start codon
+ * Downstream starts at +4 (after the codon), matching the GC proxy window.
+ *
+ * @param {string} sequence - mRNA sequence
+ * @param {number} startPos - Start codon position (0-based)
+ * @param {Object} params - RDG model parameters (structureWindow)
+ * @returns {Object} { upstreamDeltaG, downstreamDeltaG, upstreamWindow: [s, e], downstreamWindow: [s, e] }
+ */
+function estimateStartStructure(sequence, startPos, params = DEFAULT_RDG_PARAMS) {
+    const windowSize = params.structureWindow || DEFAULT_RDG_PARAMS.structureWindow;
+    const upstreamWindow = [Math.max(0, startPos - windowSize), startPos];
+    const downstreamWindow = [Math.min(sequence.length, startPos + 3), Math.min(sequence.length, startPos + 3 + windowSize)];
+    return {
+        upstreamDeltaG: foldRNA(sequence.substring(upstreamWindow[0], upstreamWindow[1])).deltaG,
+        downstreamDeltaG: foldRNA(sequence.substring(downstreamWindow[0], downstreamWindow[1])).deltaG,
+        upstreamWindow,
+        downstreamWindow
+    };
+}
+
+/**
+ * Probability that a scanning 43S passes a structured window
+ * Logistic in ΔG, centred on params.scanningBlockDG with a 2 kcal/mol slope.
+ */
+function calculateScanningPassProbability(deltaG, params = DEFAULT_RDG_PARAMS) {
+    const threshold = typeof params.scanningBlockDG === 'number' ? params.scanningBlockDG : DEFAULT_RDG_PARAMS.scanningBlockDG;
+    return 1 / (1 + Math.exp((threshold - deltaG) / 2));
+}
+
+/**
+ * Find stable hairpins that impede scanning
+ * Folds half-overlapping windows along the mRNA and keeps the most stable
+ * non-overlapping ones that block more than 1% of scanning flux.
+ *
+ * @param {string} sequence - mRNA sequence
+ * @param {Object} params - RDG model parameters (structureWindow, scanningBlockDG)
+ * @returns {Array} [{ start, end, deltaG, structure, passProbability }] sorted by position
+ */
+function findScanningBarriers(sequence, params = DEFAULT_RDG_PARAMS) {
+    const windowSize = params.structureWindow || DEFAULT_RDG_PARAMS.structureWindow;
+    const step = Math.max(1, Math.floor(windowSize / 2));
+    const candidates = [];
+    for (let start = 0; start < sequence.length; start += step) {
+        const end = Math.min(sequence.length, start + windowSize);
+        if (end - start < 10) break;
+        const fold = foldRNA(sequence.substring(start, end));
+        const passProbability = calculateScanningPassProbability(fold.deltaG, params);
+        if (passProbability < 0.99) {
+            candidates.push({ start, end, deltaG: fold.deltaG, structure: fold.structure, passProbability });
+        }
+    }
+
+    const barriers = [];
+    candidates.sort((a, b) => a.deltaG - b.deltaG).forEach(c => {
+        if (!barriers.some(b => c.start < b.end && b.start < c.end)) barriers.push(c);
+    });
+    return barriers.sort((a, b) => a.start - b.start);
+}
+
 // ============================================================================
 // PROBABILITY CALCULATIONS
 // ============================================================================
 
+/**
+ * Relative initiation efficiency of a start codon (AUG = 1.0)
+ * params.startCodonEfficiencies overrides are used as given. Otherwise the
+ * RDG_CONSTANTS.START_CODONS near-cognates are rescaled so that CUG equals
+ * params.nearCognatePenalty, which leaves the table unchanged at the default
+ * penalty of 0.5. Codons that are neither overridden nor listed do not initiate.
+ *
+ * @param {string} codon - Start codon (AUG, CUG, etc.)
+ * @param {Object} params - RDG model parameters (optional)
+ * @returns {number} Efficiency factor (0-1)
+ */
+function getStartCodonEfficiency(codon, params = DEFAULT_RDG_PARAMS) {
+    const overrides = params.startCodonEfficiencies || {};
+    if (typeof overrides[codon] === 'number') {
+        return Math.max(0, Math.min(1, overrides[codon]));
+    }
+
+    const entry = RDG_CONSTANTS.START_CODONS[codon];
+    if (!entry) return 0;
+    if (codon === 'AUG') return entry.efficiency;
+
+    const reference = RDG_CONSTANTS.START_CODONS.CUG.efficiency;
+    const penalty = typeof params.nearCognatePenalty === 'number'
+        ? params.nearCognatePenalty
+        : DEFAULT_RDG_PARAMS.nearCognatePenalty;
+
+    return Math.max(0, Math.min(1, entry.efficiency * (penalty / reference)));
+}
+
+/**
+ * Structure factor for initiation (downstream structure slows scanning, increases initiation)
+ * The structure score is the downstream GC fraction, or -ΔG / structureScaleDG (0-1)
+ * of the folded downstream window when params.structureModel is 'mfe'.
+ * Scores above 0.5 give a bonus, lower scores are neutral.
+ *
+ * @param {number} gcContent - Downstream GC content (0-1)
+ * @param {Object} structure - Optional estimateStartStructure result
+ * @param {Object} params - RDG model parameters
+ * @returns {number} f_structure (>= 1)
+ */
+function calculateStructureFactor(gcContent, structure = null, params = DEFAULT_RDG_PARAMS) {
+    let score = gcContent;
+    if (params.structureModel === 'mfe' && structure && typeof structure.downstreamDeltaG === 'number') {
+        const scale = params.structureScaleDG || DEFAULT_RDG_PARAMS.structureScaleDG;
+        score = Math.max(0, Math.min(1, -structure.downstreamDeltaG / scale));
+    }
+    return 1.0 + (Math.max(0, score - 0.5) * params.gcBonus);
+}
+
+/**
+ * Score a start against the TISU consensus (fraction of the 9 flanking positions matched)
+ * @param {string} sequence - mRNA sequence
+ * @param {number} startPos - Start codon position (0-based)
+ * @returns {number} TISU score (0-1)
+ */
+function calculateTISUScore(sequence, startPos) {
+    const entries = Object.entries(RDG_CONSTANTS.TISU_CONSENSUS);
+    let matches = 0;
+    entries.forEach(([key, expected]) => {
+        const offset = parseInt(key, 10);
+        // -1 is the nt before the codon; +4 is the nt after it
+        const idx = offset < 0 ? startPos + offset : startPos + offset - 1;
+        const nt = idx >= 0 && idx < sequence.length ? sequence[idx] : '';
+        if (expected === 'S' ? (nt === 'G' || nt === 'C') : nt === expected) matches++;
+    });
+    return matches / entries.length;
+}
+
+/**
+ * Cap-proximity factor for initiation
+ * Starts within ~15 nt of the cap are poorly recognised because the 43S has
+ * not yet engaged the mRNA in scanning mode (Kozak 1991; Pestova & Kolupaeva 2002).
+ * The factor rises sigmoidally (3-nt slope) from capFloor at the cap to 1 past
+ * capHalfDistance. A TISU element on a leader of <= tisuMaxLeader nt rescues the
+ * start in proportion to how well it matches (score 0.5 -> none, 1 -> full).
+ *
+ * @param {number} distanceFromCap - Leader length upstream of the start (nt)
+ * @param {number} tisuScore - calculateTISUScore result (0-1, optional)
+ * @param {Object} params - RDG model parameters
+ * @returns {number} f_cap (0-1); 1 when params.capProximity is off
+ */
+function calculateCapProximityFactor(distanceFromCap, tisuScore = 0, params = DEFAULT_RDG_PARAMS) {
+    if (!params.capProximity || typeof distanceFromCap !== 'number') return 1.0;
+
+    const floor = typeof params.capFloor === 'number' ? params.capFloor : DEFAULT_RDG_PARAMS.capFloor;
+    const half = typeof params.capHalfDistance === 'number' ? params.capHalfDistance : DEFAULT_RDG_PARAMS.capHalfDistance;
+    let fCap = floor + (1 - floor) / (1 + Math.exp(-(distanceFromCap - half) / 3));
+
+    const maxLeader = typeof params.tisuMaxLeader === 'number' ? params.tisuMaxLeader : DEFAULT_RDG_PARAMS.tisuMaxLeader;
+    if (distanceFromCap <= maxLeader && tisuScore > 0.5) {
+        fCap += (1 - fCap) * Math.min(1, (tisuScore - 0.5) / 0.5);
+    }
+    return fCap;
+}
+
 /**
  * Calculate initiation probability for a start codon
- * P_init = P₀ × f_kozak × f_codon × f_structure
+ * P_init = P₀ × f_kozak × f_codon × f_structure × f_cap
  *
  * @param {string} startCodon - The start codon (AUG, CUG, etc.)
- * @param {number} kozakScore - Kozak context score (0-1)
+ * @param {number} kozakScore - PWM Kozak context score (0-1) from calculateKozakScore
  * @param {number} gcContent - Downstream GC content (0-1)
  * @param {Object} params - RDG model parameters (optional)
+ * @param {Object} structure - Optional folding ΔG windows (used when params.structureModel is 'mfe')
+ * @param {Object} site - Optional { pos, tisuScore } for the cap-proximity model (params.capProximity)
  * @returns {number} Initiation probability (0-1)
  */
-function calculateInitiationProbability(startCodon, kozakScore, gcContent, params = DEFAULT_RDG_PARAMS) {
+function calculateInitiationProbability(startCodon, kozakScore, gcContent, params = DEFAULT_RDG_PARAMS, structure = null, site = null) {
     // f_kozak: Kozak context factor (0.5 to 1.0)
     const fKozak = 0.5 + (kozakScore * 0.5);
 
-    // f_codon: Start codon identity (1.0 for AUG, penalty for near-cognates)
-    const isAUG = startCodon === 'AUG';
-    const fCodon = isAUG ? 1.0 : params.nearCognatePenalty;
+    // f_codon: Start codon identity (per-codon efficiency table, AUG = 1.0)
+    const fCodon = getStartCodonEfficiency(startCodon, params);
+
+    // f_structure: downstream GC or folded ΔG
+    const fStructure = calculateStructureFactor(gcContent, structure, params);
 
-    // f_structure: Bonus for high downstream GC (structure slows scanning, increases initiation)
-    // GC > 0.5 gives a bonus, GC < 0.5 is neutral
-    const fStructure = 1.0 + (Math.max(0, gcContent - 0.5) * params.gcBonus);
+    // f_cap: poor recognition close to the cap (1.0 unless params.capProximity)
+    const fCap = site ? calculateCapProximityFactor(site.pos, site.tisuScore || 0, params) : 1.0;
 
-    // Combined probability (NO DISTANCE FACTOR - distance only used for auto-population ranking)
-    const pStart = params.baseP * fKozak * fCodon * fStructure;
+    // Combined probability (distanceD0 weighting is only used for auto-population ranking)
+    const pStart = params.baseP * fKozak * fCodon * fStructure * fCap;
 
     return Math.max(0.01, Math.min(0.99, pStart)); // Clamp between 1% and 99%
 }
@@ -396,10 +1131,186 @@ function calculateProteinMW(orfLengthNt) {
     return mwDa / 1000; // Convert to kDa
 }
 
+// Residue properties: monoisotopic/average residue masses (Da, ExPASy),
+// Kyte-Doolittle hydropathy. X (unknown, e.g. readthrough) uses the 110 Da average.
+const AMINO_ACID_PROPERTIES = {
+    A: { mono: 71.03711, avg: 71.0788, hydropathy: 1.8 },
+    R: { mono: 156.10111, avg: 156.1875, hydropathy: -4.5 },
+    N: { mono: 114.04293, avg: 114.1038, hydropathy: -3.5 },
+    D: { mono: 115.02694, avg: 115.0886, hydropathy: -3.5 },
+    C: { mono: 103.00919, avg: 103.1388, hydropathy: 2.5 },
+    E: { mono: 129.04259, avg: 129.1155, hydropathy: -3.5 },
+    Q: { mono: 128.05858, avg: 128.1307, hydropathy: -3.5 },
+    G: { mono: 57.02146, avg: 57.0519, hydropathy: -0.4 },
+    H: { mono: 137.05891, avg: 137.1411, hydropathy: -3.2 },
+    I: { mono: 113.08406, avg: 113.1594, hydropathy: 4.5 },
+    L: { mono: 113.08406, avg: 113.1594, hydropathy: 3.8 },
+    K: { mono: 128.09496, avg: 128.1741, hydropathy: -3.9 },
+    M: { mono: 131.04049, avg: 131.1926, hydropathy: 1.9 },
+    F: { mono: 147.06841, avg: 147.1766, hydropathy: 2.8 },
+    P: { mono: 97.05276, avg: 97.1167, hydropathy: -1.6 },
+    S: { mono: 87.03203, avg: 87.0782, hydropathy: -0.8 },
+    T: { mono: 101.04768, avg: 101.1051, hydropathy: -0.7 },
+    W: { mono: 186.07931, avg: 186.2132, hydropathy: -0.9 },
+    Y: { mono: 163.06333, avg: 163.1760, hydropathy: -1.3 },
+    V: { mono: 99.06841, avg: 99.1326, hydropathy: 4.2 },
+    X: { mono: 110, avg: 110, hydropathy: 0 }
+};
+
+// Ionizable group pKa values (EMBOSS) and 280 nm extinction coefficients (Pace et al. 1995)
+const PROTEIN_PKA = {
+    nTerm: 8.6, cTerm: 3.6,
+    K: 10.8, R: 12.5, H: 6.5,
+    D: 3.9, E: 4.1, C: 8.5, Y: 10.1
+};
+const EXTINCTION_280 = { W: 5500, Y: 1490, cystine: 125 };
+
+/**
+ * Translate an ORF to its protein sequence
+ * The initiator tRNA inserts Met at AUG and near-cognate starts alike.
+ * The terminal stop is dropped; internal stops (read through) become X.
+ *
+ * @param {string} ntSequence - Coding sequence from the start codon
+ * @param {number|Object} geneticCode - NCBI translation table id or custom code
+ * @returns {string} Protein sequence
+ */
+function translateORF(ntSequence, geneticCode = DEFAULT_RDG_PARAMS.geneticCode) {
+    const protein = translateSequence(ntSequence, geneticCode).replace(/\*$/, '').replace(/\*/g, 'X');
+    const firstCodon = ntSequence.substring(0, 3);
+    return firstCodon in RDG_CONSTANTS.START_CODONS ? 'M' + protein.substring(1) : protein;
+}
+
+/**
+ * Net charge of a protein at a given pH (Henderson-Hasselbalch)
+ */
+function proteinNetCharge(counts, pH) {
+    const positive = (pKa, n) => n / (1 + Math.pow(10, pH - pKa));
+    const negative = (pKa, n) => n / (1 + Math.pow(10, pKa - pH));
+
+    return positive(PROTEIN_PKA.nTerm, 1)
+        + positive(PROTEIN_PKA.K, counts.K || 0)
+        + positive(PROTEIN_PKA.R, counts.R || 0)
+        + positive(PROTEIN_PKA.H, counts.H || 0)
+        - negative(PROTEIN_PKA.cTerm, 1)
+        - negative(PROTEIN_PKA.D, counts.D || 0)
+        - negative(PROTEIN_PKA.E, counts.E || 0)
+        - negative(PROTEIN_PKA.C, counts.C || 0)
+        - negative(PROTEIN_PKA.Y, counts.Y || 0);
+}
+
+/**
+ * Calculate physico-chemical properties of a protein from its sequence
+ * Masses sum residue masses plus one water; pI is found by bisection on net charge.
+ *
+ * @param {string} aaSequence - Protein sequence (single letter codes, '*' treated as stop/X)
+ * @returns {Object} { length, monoisotopicMass, averageMass (Da), mwKDa, isoelectricPoint,
+ *                     extinctionCoefficient: {reduced, oxidized}, gravy }
+ */
+function calculateProteinProperties(aaSequence) {
+    const protein = (aaSequence || '').toUpperCase().replace(/\*$/, '').replace(/\*/g, 'X');
+    const counts = {};
+    let mono = 0;
+    let avg = 0;
+    let hydropathy = 0;
+
+    for (const aa of protein) {
+        const props = AMINO_ACID_PROPERTIES[aa] || AMINO_ACID_PROPERTIES.X;
+        counts[aa] = (counts[aa] || 0) + 1;
+        mono += props.mono;
+        avg += props.avg;
+        hydropathy += props.hydropathy;
+    }
+
+    if (protein.length === 0) {
+        return {
+            length: 0,
+            monoisotopicMass: 0,
+            averageMass: 0,
+            mwKDa: 0,
+            isoelectricPoint: null,
+            extinctionCoefficient: { reduced: 0, oxidized: 0 },
+            gravy: 0
+        };
+    }
+
+    // Add one water for the free termini
+    mono += 18.01056;
+    avg += 18.01528;
+
+    let low = 0;
+    let high = 14;
+    while (high - low > 0.001) {
+        const mid = (low + high) / 2;
+        if (proteinNetCharge(counts, mid) > 0) low = mid;
+        else high = mid;
+    }
+
+    const reduced = (counts.W || 0) * EXTINCTION_280.W + (counts.Y || 0) * EXTINCTION_280.Y;
+
+    return {
+        length: protein.length,
+        monoisotopicMass: mono,
+        averageMass: avg,
+        mwKDa: avg / 1000,
+        isoelectricPoint: parseFloat(((low + high) / 2).toFixed(2)),
+        extinctionCoefficient: {
+            reduced,
+            oxidized: reduced + Math.floor((counts.C || 0) / 2) * EXTINCTION_280.cystine
+        },
+        gravy: hydropathy / protein.length
+    };
+}
+
+/**
+ * Calculate molecular weight of the protein encoded by an ORF from residue masses
+ * @param {string} ntSequence - Coding sequence from the start codon
+ * @param {number|Object} geneticCode - NCBI translation table id or custom code
+ * @returns {number} Average molecular weight in kDa
+ */
+function calculateProteinMWFromSequence(ntSequence, geneticCode = DEFAULT_RDG_PARAMS.geneticCode) {
+    return calculateProteinProperties(translateORF(ntSequence, geneticCode)).mwKDa;
+}
+
 // ============================================================================
 // FLUX MODEL
 // ============================================================================
 
+/**
+ * Normalize internal entry site annotations (IRES and other cap-independent entry)
+ * @param {Array} entrySites - [{pos, efficiency?, name?}]; efficiency is relative to cap loading
+ * @param {Object} params - RDG params (entryEfficiency default)
+ * @returns {Array} [{pos, efficiency, name}] sorted by position
+ */
+function normalizeEntrySites(entrySites = [], params = DEFAULT_RDG_PARAMS) {
+    const fallback = typeof params.entryEfficiency === 'number' ? params.entryEfficiency : DEFAULT_RDG_PARAMS.entryEfficiency;
+    return (entrySites || [])
+        .filter(site => site && typeof site.pos === 'number' && site.pos >= 0)
+        .map((site, idx) => ({
+            pos: site.pos,
+            efficiency: Math.max(0, typeof site.efficiency === 'number' ? site.efficiency : fallback),
+            name: site.name || `IRES${idx + 1}`
+        }))
+        .sort((a, b) => a.pos - b.pos);
+}
+
+/**
+ * Internal entry sites for IRES regions of an assembled construct
+ * Ribosomes recruited by the IRES are delivered at its 3' end.
+ *
+ * @param {Array} regions - Assembled construct regions
+ * @param {Object} params - RDG params (entryEfficiency default)
+ * @returns {Array} [{pos, efficiency, name}]
+ */
+function entrySitesFromRegions(regions = [], params = DEFAULT_RDG_PARAMS) {
+    return normalizeEntrySites((regions || [])
+        .filter(r => r.type === 'IRES')
+        .map((r, idx) => ({
+            pos: r.end,
+            efficiency: typeof r.efficiency === 'number' ? r.efficiency : undefined,
+            name: r.name || `IRES${idx + 1}`
+        })), params);
+}
+
 /**
  * Compute scanning flux-based abundances for each start codon along the mRNA.
  * Simplified 1D model:
@@ -409,20 +1320,42 @@ function calculateProteinMW(orfLengthNt) {
  *    where r_i is reinit probability based on ORF length and spacing to next start
  *  - abundance assigned to start i is initiatedFlux
  *
+ *  - scanning barriers (findScanningBarriers) fully upstream of a start scale
+ *    the available flux by their pass probability before it reaches that start
+ *  - internal entry sites (IRES) add their loading efficiency to the available
+ *    flux at their position, on top of cap-dependent loading
+ *
  * @param {Array} starts - start codon annotations (pos, stopPos, frame, etc.)
  * @param {Object} params - RDG params
- * @returns {Map<number, number>} Map from start.pos to abundance (0..1)
+ * @param {Array} barriers - Optional scanning barriers [{end, passProbability}]
+ * @param {Array} entrySites - Optional internal entry sites [{pos, efficiency}]
+ * @param {boolean} normalize - Scale to the strongest start (false keeps flux relative to cap loading)
+ * @returns {Map<number, number>} Map from start.pos to abundance (0..1 when normalized)
  */
-function computeTranslonFlux(starts, params = DEFAULT_RDG_PARAMS) {
+function computeTranslonFlux(starts, params = DEFAULT_RDG_PARAMS, barriers = [], entrySites = [], normalize = true) {
     const sorted = [...starts].sort((a, b) => a.pos - b.pos);
+    const blocks = [...barriers].sort((a, b) => a.end - b.end);
+    const entries = normalizeEntrySites(entrySites, params);
     const flux = new Map();
 
     let available = 1.0;
+    let loaded = 1.0;
+    let nextBarrier = 0;
+    let nextEntry = 0;
     for (let i = 0; i < sorted.length; i++) {
         const s = sorted[i];
+        while (nextBarrier < blocks.length && blocks[nextBarrier].end <= s.pos) {
+            available *= blocks[nextBarrier].passProbability;
+            nextBarrier++;
+        }
+        while (nextEntry < entries.length && entries[nextEntry].pos <= s.pos) {
+            available += entries[nextEntry].efficiency;
+            loaded += entries[nextEntry].efficiency;
+            nextEntry++;
+        }
         const p = s.initiationProbability !== undefined
             ? s.initiationProbability
-            : calculateInitiationProbability(s.codon, s.kozakScore, s.gcContent, params);
+            : calculateInitiationProbability(s.codon, s.kozakScore, s.gcContent, params, s.structure, s);
 
         const initiated = available * Math.max(0, Math.min(1, p));
 
@@ -434,10 +1367,12 @@ function computeTranslonFlux(starts, params = DEFAULT_RDG_PARAMS) {
         const reinitFlux = initiated * r;
 
         available = (available * (1 - p)) + reinitFlux;
-        // Prevent drift outside [0,1]
-        available = Math.max(0, Math.min(1, available));
+        // Prevent drift outside [0, total loaded flux]
+        available = Math.max(0, Math.min(loaded, available));
     }
 
+    if (!normalize) return flux;
+
     // Normalize abundances to the maximum observed so visualizations are stable
     let max = 0;
     flux.forEach(v => { if (v > max) max = v; });
@@ -452,27 +1387,11 @@ function computeTranslonFlux(starts, params = DEFAULT_RDG_PARAMS) {
 /**
  * Translate nucleotide sequence to amino acid sequence
  * @param {string} ntSequence - Nucleotide sequence (must be multiple of 3)
+ * @param {number|Object} geneticCode - NCBI translation table id or custom code (default: 1)
  * @returns {string} Amino acid sequence (single letter codes)
  */
-function translateSequence(ntSequence) {
-    const codonTable = {
-        'UUU': 'F', 'UUC': 'F', 'UUA': 'L', 'UUG': 'L',
-        'UCU': 'S', 'UCC': 'S', 'UCA': 'S', 'UCG': 'S',
-        'UAU': 'Y', 'UAC': 'Y', 'UAA': '*', 'UAG': '*',
-        'UGU': 'C', 'UGC': 'C', 'UGA': '*', 'UGG': 'W',
-        'CUU': 'L', 'CUC': 'L', 'CUA': 'L', 'CUG': 'L',
-        'CCU': 'P', 'CCC': 'P', 'CCA': 'P', 'CCG': 'P',
-        'CAU': 'H', 'CAC': 'H', 'CAA': 'Q', 'CAG': 'Q',
-        'CGU': 'R', 'CGC': 'R', 'CGA': 'R', 'CGG': 'R',
-        'AUU': 'I', 'AUC': 'I', 'AUA': 'I', 'AUG': 'M',
-        'ACU': 'T', 'ACC': 'T', 'ACA': 'T', 'ACG': 'T',
-        'AAU': 'N', 'AAC': 'N', 'AAA': 'K', 'AAG': 'K',
-        'AGU': 'S', 'AGC': 'S', 'AGA': 'R', 'AGG': 'R',
-        'GUU': 'V', 'GUC': 'V', 'GUA': 'V', 'GUG': 'V',
-        'GCU': 'A', 'GCC': 'A', 'GCA': 'A', 'GCG': 'A',
-        'GAU': 'D', 'GAC': 'D', 'GAA': 'E', 'GAG': 'E',
-        'GGU': 'G', 'GGC': 'G', 'GGA': 'G', 'GGG': 'G'
-    };
+function translateSequence(ntSequence, geneticCode = DEFAULT_RDG_PARAMS.geneticCode) {
+    const codonTable = getGeneticCode(geneticCode).codons;
 
     let protein = '';
     for (let i = 0; i < ntSequence.length - 2; i += 3) {
@@ -483,52 +1402,834 @@ function translateSequence(ntSequence) {
     return protein;
 }
 
+// ============================================================================
+// ELONGATION KINETICS
+// ============================================================================
+
+// Resolved residence-time tables keyed by timing model, tRNA pool and genetic code
+const residenceTimeCache = {};
+
+// Floor on tAI weights so codons read only by weak wobble pairs keep a finite dwell
+const TAI_WEIGHT_FLOOR = 0.05;
+
+// Elongation parameters fall back to the defaults for callers with older parameter sets
+function elongationParam(params, key) {
+    return params && params[key] !== undefined && params[key] !== null ? params[key] : DEFAULT_RDG_PARAMS[key];
+}
+
+/**
+ * tRNA adaptation index weights per sense codon (dos Reis et al. 2004)
+ * Each codon's adaptiveness sums the gene copies of the tRNAs that read it,
+ * discounted by the wobble penalty of the pairing (A34 is read as inosine),
+ * relative to the best-served codon.
+ *
+ * @param {Object|string} pool - {anticodon (5'→3'): gene copies} or a preset in RDG_CONSTANTS.TRNA_GENE_COPIES
+ * @param {number|Object} geneticCode - NCBI table id or custom code
+ * @returns {Object} {codon: w} with w in (0, 1]; codons no tRNA reads get the geometric mean weight
+ */
+function calculateTAIWeights(pool = DEFAULT_RDG_PARAMS.tRNAPool, geneticCode = DEFAULT_RDG_PARAMS.geneticCode) {
+    const copies = typeof pool === 'string' ? RDG_CONSTANTS.TRNA_GENE_COPIES[pool] : pool;
+    if (!copies) {
+        throw new Error(`Unknown tRNA pool: ${pool}`);
+    }
+
+    const complement = { A: 'U', U: 'A', G: 'C', C: 'G' };
+    const wobble = RDG_CONSTANTS.TAI_WOBBLE_PENALTIES;
+    const code = getGeneticCode(geneticCode);
+    const senseCodons = Object.keys(code.codons).filter(c => code.codons[c] !== '*');
+
+    const absolute = {};
+    senseCodons.forEach(codon => {
+        let total = 0;
+        Object.entries(copies).forEach(([anticodon, count]) => {
+            const a = anticodon.toUpperCase().replace(/T/g, 'U');
+            if (complement[a[2]] !== codon[0] || complement[a[1]] !== codon[1]) return;
+            const penalty = (wobble[a[0] === 'A' ? 'I' : a[0]] || {})[codon[2]];
+            if (penalty !== undefined) total += (1 - penalty) * count;
+        });
+        absolute[codon] = total;
+    });
+
+    const max = Math.max(...Object.values(absolute));
+    const positive = senseCodons.filter(c => absolute[c] > 0);
+    const geometricMean = positive.length > 0
+        ? Math.exp(positive.reduce((sum, c) => sum + Math.log(absolute[c] / max), 0) / positive.length)
+        : 1;
+
+    const weights = {};
+    senseCodons.forEach(codon => {
+        weights[codon] = absolute[codon] > 0 ? absolute[codon] / max : geometricMean;
+    });
+    return weights;
+}
+
+/**
+ * Relative ribosome residence time per sense codon (mean codon ≈ 1)
+ * 'rrt' uses the ribosome profiling residence times (RDG_CONSTANTS.CODON_RRT);
+ * 'tai' converts tRNA adaptation weights for params.tRNAPool (slow = poorly
+ * served codons); a {codon: time} object is used as given.
+ *
+ * @param {Object} params - RDG params (codonTiming, tRNAPool, geneticCode)
+ * @returns {Object} {codon: relative residence time}
+ */
+function getCodonResidenceTimes(params = DEFAULT_RDG_PARAMS) {
+    const timing = elongationParam(params, 'codonTiming');
+    if (timing !== null && typeof timing === 'object') return timing;
+    if (timing !== 'tai') return RDG_CONSTANTS.CODON_RRT;
+
+    const pool = elongationParam(params, 'tRNAPool');
+    const geneticCode = elongationParam(params, 'geneticCode');
+    const key = typeof pool === 'string' && typeof geneticCode !== 'object' ? `tai|${pool}|${geneticCode}` : null;
+    if (key && residenceTimeCache[key]) return residenceTimeCache[key];
+
+    const weights = calculateTAIWeights(pool, geneticCode);
+    const codons = Object.keys(weights);
+    const floored = codons.map(c => Math.max(TAI_WEIGHT_FLOOR, weights[c]));
+    const meanWeight = floored.reduce((sum, w) => sum + w, 0) / floored.length;
+
+    const times = {};
+    codons.forEach((codon, idx) => {
+        times[codon] = parseFloat((meanWeight / floored[idx]).toFixed(3));
+    });
+
+    if (key) residenceTimeCache[key] = times;
+    return times;
+}
+
+/**
+ * Codon-level elongation profile of one ORF
+ * Each codon is decoded in residenceTime / elongationRate seconds. Windows of
+ * params.stallWindow codons with a mean residence time of at least params.stallRRT
+ * are slow-codon stalls: overlapping windows merge into one stall whose extra
+ * dwell is the run's summed excess over an average codon. Stalls are what queue
+ * ribosomes in simulateRibosomes.
+ * Elongation capacity is the maximal current of an exclusion process with
+ * 10-codon ribosomes, J = 1 / (τ (1 + √ℓ)²) (Lakatos & Chou 2003), taking τ as the
+ * mean dwell of the slowest footprint-length window.
+ *
+ * @param {string} sequence - RNA sequence (AUGC)
+ * @param {number} startPos - Start codon position (nt)
+ * @param {number} stopPos - End of the ORF including the stop codon (nt); defaults to the sequence end
+ * @param {Object} params - RDG params (elongationRate, codonTiming, tRNAPool, stallWindow, stallRRT)
+ * @returns {Object} { codons, dwellTimes (s), transitTime (s), meanRate (codons/s), stalls, capacity (ribosomes/s), bottleneck }
+ */
+function computeElongationProfile(sequence, startPos, stopPos, params = DEFAULT_RDG_PARAMS) {
+    const rate = elongationParam(params, 'elongationRate');
+    const windowCodons = Math.max(1, Math.round(elongationParam(params, 'stallWindow')));
+    const stallRRT = elongationParam(params, 'stallRRT');
+    const residence = getCodonResidenceTimes(params);
+    const stops = getGeneticCode(elongationParam(params, 'geneticCode')).stops;
+
+    // Sense codons from the start codon up to (not including) the stop codon
+    let end = Math.min(sequence.length, typeof stopPos === 'number' ? stopPos : sequence.length);
+    if (end - startPos >= 3 && stops.includes(sequence.substring(end - 3, end))) end -= 3;
+    const times = [];
+    for (let pos = startPos; pos + 3 <= end; pos += 3) {
+        times.push(residence[sequence.substring(pos, pos + 3)] || 1);
+    }
+    const n = times.length;
+
+    const stalls = [];
+    let runSum = 0;
+    for (let i = 0; i < n; i++) {
+        runSum += times[i];
+        if (i >= windowCodons) runSum -= times[i - windowCodons];
+        if (i < windowCodons - 1 || runSum / windowCodons < stallRRT) continue;
+
+        const first = i - windowCodons + 1;
+        const last = stalls[stalls.length - 1];
+        if (last && first <= last.lastCodon + 1) {
+            last.lastCodon = i;
+        } else {
+            stalls.push({ firstCodon: first, lastCodon: i });
+        }
+    }
+
+    const dwellTimes = times.map(t => t / rate);
+    const stallSites = stalls.map(run => {
+        const slice = times.slice(run.firstCodon, run.lastCodon + 1);
+        const excess = slice.reduce((sum, t) => sum + Math.max(0, t - 1), 0) / rate;
+        dwellTimes[run.firstCodon] += excess;
+        return {
+            pos: startPos + run.firstCodon * 3,
+            end: startPos + (run.lastCodon + 1) * 3,
+            frame: startPos % 3,
+            codons: slice.length,
+            meanRRT: parseFloat((slice.reduce((sum, t) => sum + t, 0) / slice.length).toFixed(3)),
+            dwell: parseFloat(excess.toFixed(4))
+        };
+    });
+
+    const transitTime = dwellTimes.reduce((sum, t) => sum + t, 0);
+
+    // Slowest footprint-length window sets the maximal ribosome current
+    const footprint = RDG_CONSTANTS.RIBOSOME_FOOTPRINTS.TRANSLATING / 3;
+    const span = Math.max(1, Math.min(footprint, n));
+    let windowSum = 0;
+    let slowest = 0;
+    let bottleneck = startPos;
+    for (let i = 0; i < n; i++) {
+        windowSum += dwellTimes[i];
+        if (i >= span) windowSum -= dwellTimes[i - span];
+        if (i >= span - 1 && windowSum > slowest) {
+            slowest = windowSum;
+            bottleneck = startPos + (i - span + 1) * 3;
+        }
+    }
+    const tau = n > 0 ? slowest / span : 1 / rate;
+    const capacity = 1 / (tau * Math.pow(1 + Math.sqrt(footprint), 2));
+
+    return {
+        codons: n,
+        dwellTimes,
+        transitTime,
+        meanRate: transitTime > 0 ? n / transitTime : rate,
+        stalls: stallSites,
+        capacity,
+        bottleneck
+    };
+}
+
+/**
+ * Steady-state elongation outcome of an ORF at a given initiation flux
+ * Initiation rate is flux × params.loadingRate; product output is capped at the
+ * ORF's elongation capacity, and the ribosome load follows from Little's law
+ * (output × transit time). Flux above capacity is not redistributed.
+ *
+ * @param {string} sequence - RNA sequence (AUGC)
+ * @param {number} startPos - Start codon position (nt)
+ * @param {number} stopPos - End of the ORF including the stop codon (nt)
+ * @param {number} flux - Initiation flux relative to cap loading (computeTranslonFlux)
+ * @param {Object} params - RDG params (loadingRate and the computeElongationProfile params)
+ * @returns {Object} { initiationRate, output (proteins/s), outputFraction, elongationLimited, ribosomeLoad, density (ribosomes/codon), transitTime, meanRate, capacity, stalls }
+ */
+function computeSteadyStateElongation(sequence, startPos, stopPos, flux, params = DEFAULT_RDG_PARAMS) {
+    const loadingRate = elongationParam(params, 'loadingRate');
+    const profile = computeElongationProfile(sequence, startPos, stopPos, params);
+    const initiationRate = Math.max(0, flux) * loadingRate;
+    const output = Math.min(initiationRate, profile.capacity);
+    const ribosomeLoad = output * profile.transitTime;
+
+    return {
+        initiationRate,
+        output,
+        outputFraction: loadingRate > 0 ? output / loadingRate : 0,
+        elongationLimited: initiationRate > profile.capacity,
+        ribosomeLoad,
+        density: profile.codons > 0 ? ribosomeLoad / profile.codons : 0,
+        transitTime: profile.transitTime,
+        meanRate: profile.meanRate,
+        capacity: profile.capacity,
+        bottleneck: profile.bottleneck,
+        stalls: profile.stalls
+    };
+}
+
+/**
+ * Slow-codon stalls across a set of ORFs, deduplicated by position
+ * @param {string} sequence - RNA sequence (AUGC)
+ * @param {Array} starts - Translons or start annotations ({startNt, endNt} or {pos, stopPos})
+ * @param {Object} params - RDG params
+ * @returns {Array} Stalls {pos, end, frame, codons, meanRRT, dwell} sorted by position
+ */
+function findElongationStalls(sequence, starts, params = DEFAULT_RDG_PARAMS) {
+    const byPos = new Map();
+    (starts || []).forEach(start => {
+        const pos = start.startNt !== undefined ? start.startNt : start.pos;
+        const stopPos = start.endNt !== undefined ? start.endNt : start.stopPos;
+        computeElongationProfile(sequence, pos, stopPos, params).stalls.forEach(stall => {
+            const existing = byPos.get(stall.pos);
+            if (!existing || stall.dwell > existing.dwell) byPos.set(stall.pos, stall);
+        });
+    });
+    return [...byPos.values()].sort((a, b) => a.pos - b.pos);
+}
+
+// ============================================================================
+// STOCHASTIC SIMULATION
+// ============================================================================
+
+// Default options for simulateRibosomes (rates match the RDG demo animation)
+const DEFAULT_SIMULATION_OPTIONS = {
+    ribosomes: 500,          // Ribosomes loaded at the cap per replicate
+    replicates: 10,          // Independent runs used for confidence intervals
+    loadingRate: 1,          // Ribosomes loaded per second
+    scanningSpeed: 100,      // 40S scanning speed (nt/sec)
+    elongationRate: null,    // Mean elongation rate (codons/sec), scaled per codon; null uses params.elongationRate
+    codonRRT: null,          // Per-codon residence times (null uses getCodonResidenceTimes(params))
+    timeStep: 1 / 60,        // Seconds per simulation step
+    collisionMode: 'queue',  // 'queue' (wait), 'falloff' (scanning 40S drops off) or 'none'
+    stallSites: null,        // Elongation stalls {pos, dwell, frame?}; null derives slow-codon stalls (findElongationStalls)
+    entrySites: [],          // Internal entry sites {pos, efficiency} loading at loadingRate × efficiency
+    queuedInitiationRate: 0, // Extra initiation attempts/sec for a queued 43S with a start under its footprint
+    maxTime: 36000,          // Safety cap on simulated seconds per replicate
+    seed: null               // Integer seed for reproducible runs (null = Math.random)
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number|null} seed - Integer seed; null/undefined returns Math.random
+ * @returns {Function} Function returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    if (seed === null || seed === undefined) return Math.random;
+
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Normalise translons (buildTranslons / RDG demo) or start codon annotations
+ * into sorted simulator start sites
+ */
+function normalizeSimulationStarts(sequence, starts, params) {
+    return starts.map((start, idx) => {
+        const pos = start.startNt !== undefined ? start.startNt : start.pos;
+        const codon = start.startCodon || start.codon || sequence.substring(pos, pos + 3);
+
+        let probability = [start.initiationRate, start.initiationProbability, start.probability]
+            .find(p => typeof p === 'number');
+        if (probability === undefined) {
+            const kozakScore = typeof start.kozakScore === 'number'
+                ? start.kozakScore
+                : calculateKozakScore(sequence, pos, params.kozakPWM);
+            const gcContent = typeof start.gcContent === 'number'
+                ? start.gcContent
+                : calculateDownstreamGC(sequence, pos);
+            const structure = start.structure || (params.structureModel === 'mfe' ? estimateStartStructure(sequence, pos, params) : null);
+            const tisuScore = typeof start.tisuScore === 'number' ? start.tisuScore : calculateTISUScore(sequence, pos);
+            probability = calculateInitiationProbability(codon, kozakScore, gcContent, params, structure, { pos, tisuScore });
+        }
+
+        return {
+            name: start.name || `T${idx + 1}`,
+            pos,
+            stopPos: start.endNt !== undefined ? start.endNt : start.stopPos,
+            frame: pos % 3,
+            codon,
+            initiationProbability: Math.max(0, Math.min(1, probability)),
+            reinitiationRate: typeof start.reinitiationRate === 'number' ? start.reinitiationRate : null
+        };
+    }).sort((a, b) => a.pos - b.pos);
+}
+
+/**
+ * Mean, standard deviation and 95% confidence interval (normal approximation)
+ * of replicate values
+ */
+function summarizeReplicates(values) {
+    const n = values.length;
+    const mean = n > 0 ? values.reduce((sum, v) => sum + v, 0) / n : 0;
+    const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1) : 0;
+    const sd = Math.sqrt(variance);
+    const halfWidth = n > 1 ? 1.96 * sd / Math.sqrt(n) : 0;
+
+    return {
+        mean,
+        sd,
+        lower: Math.max(0, mean - halfWidth),
+        upper: mean + halfWidth
+    };
+}
+
+/**
+ * Run one replicate of the scanning/elongation Monte-Carlo model
+ * Ribosomes load at the cap as scanning 40S, initiate at each start with its
+ * initiation probability, elongate codon by codon at RRT-scaled rates, recode
+ * at frameshift/readthrough sites, and reinitiate after termination.
+ */
+function runSimulationReplicate(sequence, starts, readthroughStops, frameshiftSites, opts, params, random) {
+    const L = sequence.length;
+    const footprints = RDG_CONSTANTS.RIBOSOME_FOOTPRINTS;
+    const codonRRT = opts.codonRRT || getCodonResidenceTimes(params);
+    const interacting = opts.collisionMode !== 'none';
+    const stops = getGeneticCode(params.geneticCode).stops;
+    const dt = opts.timeStep;
+
+    const initiations = {};
+    starts.forEach(s => { initiations[s.name] = 0; });
+    const products = {};
+    const productInfo = {};
+    const paths = {};
+    const occupancy = {
+        scanning: new Float64Array(L),
+        translating: new Float64Array(L)
+    };
+    const events = { fellOff: 0, readthrough: 0, frameshift: 0, blockedLoads: 0, stalls: 0, queuedInitiations: 0, internalEntries: 0 };
+    const stallSites = opts.stallSites || [];
+    const entrySites = normalizeEntrySites(opts.entrySites || [], params);
+
+    // Index of the first start at or after a position
+    const firstStartFrom = (pos) => {
+        let i = 0;
+        while (i < starts.length && starts[i].pos < pos) i++;
+        return i;
+    };
+
+    const finish = (ribo) => {
+        const key = ribo.completed.length > 0 ? ribo.completed.join('+') : 'none';
+        paths[key] = (paths[key] || 0) + 1;
+    };
+
+    const terminate = (ribo, endPos) => {
+        const site = ribo.site;
+        const label = ribo.events.length > 0 ? `${site.name}[${ribo.events.join(',')}]` : site.name;
+        products[label] = (products[label] || 0) + 1;
+        if (!productInfo[label]) {
+            productInfo[label] = {
+                translon: site.name,
+                startNt: site.pos,
+                endNt: endPos,
+                events: [...ribo.events]
+            };
+        }
+        ribo.completed.push(label);
+
+        let reinit = site.reinitiationRate;
+        if (reinit === null) {
+            const next = starts[firstStartFrom(endPos)];
+            const spacing = next ? next.pos - endPos : 0;
+            reinit = calculateReinitiationProbability(endPos - site.pos, spacing, params);
+        }
+
+        if (endPos < L && random() < reinit) {
+            ribo.state = 'scanning';
+            ribo.pos = endPos;
+            ribo.nextStart = firstStartFrom(endPos);
+            ribo.site = null;
+            return true;
+        }
+
+        finish(ribo);
+        return false;
+    };
+
+    const initiate = (ribo, site) => {
+        initiations[site.name]++;
+        ribo.state = 'translating';
+        ribo.site = site;
+        ribo.pos = site.pos;
+        ribo.codon = site.pos;
+        ribo.events = [];
+        ribo.stallRemaining = 0;
+    };
+
+    const stepScanning = (ribo, limit) => {
+        let target = ribo.pos + opts.scanningSpeed * dt;
+        let queued = false;
+        if (target > limit) {
+            if (opts.collisionMode === 'falloff') {
+                events.fellOff++;
+                finish(ribo);
+                return false;
+            }
+            target = Math.max(ribo.pos, limit);
+            queued = true;
+        }
+
+        // Inspect every start crossed during this step, 5' to 3'
+        while (ribo.nextStart < starts.length && starts[ribo.nextStart].pos < target) {
+            const site = starts[ribo.nextStart++];
+            if (random() < site.initiationProbability) {
+                initiate(ribo, site);
+                return true;
+            }
+        }
+
+        // A 43S held in a queue dwells over the next start and gets further chances to initiate
+        if (queued && opts.queuedInitiationRate > 0) {
+            const site = starts[ribo.nextStart];
+            const underFootprint = site && site.pos < target + RDG_CONSTANTS.RIBOSOME_FOOTPRINTS.SCANNING;
+            if (underFootprint && random() < opts.queuedInitiationRate * site.initiationProbability * dt) {
+                ribo.nextStart++;
+                events.queuedInitiations++;
+                initiate(ribo, site);
+                return true;
+            }
+        }
+
+        ribo.pos = target;
+        if (ribo.pos >= L) {
+            finish(ribo);
+            return false;
+        }
+        return true;
+    };
+
+    const stepTranslating = (ribo, limit) => {
+        if (ribo.stallRemaining > 0) {
+            ribo.stallRemaining -= dt;
+            return true;
+        }
+
+        const currentCodon = sequence.substring(ribo.codon, ribo.codon + 3);
+        const rate = opts.elongationRate / (codonRRT[currentCodon] || 1);
+
+        // Elongating 80S always queue behind the ribosome ahead
+        let target = Math.min(ribo.pos + rate * 3 * dt, limit);
+        target = Math.max(ribo.pos, target);
+
+        while (ribo.codon + 3 <= target) {
+            const previous = ribo.codon;
+            ribo.codon += 3;
+
+            frameshiftSites.forEach(site => {
+                const crossed = site.pos > previous && site.pos <= ribo.codon;
+                const inFrame = site.fromFrame === undefined || site.fromFrame === previous % 3;
+                if (crossed && inFrame && random() < (site.probability || 0)) {
+                    ribo.codon += site.shift;
+                    target += site.shift;
+                    ribo.events.push(`FS${site.shift > 0 ? '+' : ''}${site.shift}@${site.pos}`);
+                    events.frameshift++;
+                }
+            });
+
+            if (ribo.codon + 3 > L) {
+                return terminate(ribo, L);
+            }
+
+            const codon = sequence.substring(ribo.codon, ribo.codon + 3);
+            if (stops.includes(codon)) {
+                const rt = readthroughStops.find(r => r.pos === ribo.codon);
+                if (rt && random() < (rt.probability || 0)) {
+                    ribo.events.push(`RT@${ribo.codon}`);
+                    events.readthrough++;
+                    continue;
+                }
+                return terminate(ribo, ribo.codon + 3);
+            }
+
+            const stall = stallSites.find(st => st.pos >= ribo.codon && st.pos < ribo.codon + 3
+                && (st.frame === undefined || st.frame === ribo.codon % 3));
+            if (stall) {
+                ribo.stallRemaining = stall.dwell || 0;
+                ribo.pos = ribo.codon;
+                events.stalls++;
+                return true;
+            }
+        }
+
+        ribo.pos = target;
+        return true;
+    };
+
+    let active = [];
+    let loaded = 0;
+    let time = 0;
+
+    while ((loaded < opts.ribosomes || active.length > 0) && time < opts.maxTime) {
+        if (loaded < opts.ribosomes && random() < opts.loadingRate * dt) {
+            const capOccupied = interacting && active.some(r => r.pos < footprints.SCANNING);
+            if (capOccupied) {
+                events.blockedLoads++;
+            } else {
+                active.push({ state: 'scanning', pos: 0, nextStart: 0, site: null, completed: [] });
+                loaded++;
+            }
+        }
+        entrySites.forEach(entry => {
+            if (loaded >= opts.ribosomes || random() >= opts.loadingRate * entry.efficiency * dt) return;
+            const entryOccupied = interacting && active.some(r => r.pos >= entry.pos && r.pos < entry.pos + footprints.SCANNING);
+            if (entryOccupied) {
+                events.blockedLoads++;
+            } else {
+                active.push({ state: 'scanning', pos: entry.pos, nextStart: firstStartFrom(entry.pos), site: null, completed: [] });
+                loaded++;
+                events.internalEntries++;
+            }
+        });
+
+        // Process 3' to 5' so the ribosome ahead has already moved
+        active.sort((a, b) => b.pos - a.pos);
+
+        const remaining = [];
+        let aheadPos = Infinity;
+        active.forEach(ribo => {
+            const footprint = ribo.state === 'scanning' ? footprints.SCANNING : footprints.TRANSLATING;
+            const limit = interacting ? aheadPos - footprint : Infinity;
+            const keep = ribo.state === 'scanning' ? stepScanning(ribo, limit) : stepTranslating(ribo, limit);
+
+            if (keep) {
+                remaining.push(ribo);
+                aheadPos = ribo.pos;
+                const idx = Math.floor(ribo.pos);
+                if (idx >= 0 && idx < L) occupancy[ribo.state][idx] += dt;
+            }
+        });
+
+        active = remaining;
+        time += dt;
+    }
+
+    // Time-averaged ribosome density per nucleotide
+    if (time > 0) {
+        for (let i = 0; i < L; i++) {
+            occupancy.scanning[i] /= time;
+            occupancy.translating[i] /= time;
+        }
+    }
+
+    return { loaded, time, initiations, products, productInfo, paths, occupancy, events };
+}
+
+/**
+ * Stochastic ribosome scanning simulator (headless Monte-Carlo)
+ * Runs replicates of N ribosomes through the scanning / initiation / elongation /
+ * reinitiation model used by the RDG demo animation and summarises counts with
+ * 95% confidence intervals across replicates.
+ *
+ * @param {string} sequence - RNA sequence (AUGC)
+ * @param {Object} options - Simulation options (see DEFAULT_SIMULATION_OPTIONS)
+ * @param {Array} options.starts - Translons or start codon annotations (default: all starts from identifyFeatures)
+ * @param {Array} options.readthroughStops - Stops with readthrough {pos, probability}
+ * @param {Array} options.frameshiftSites - Frameshift sites {pos, fromFrame, shift, probability}
+ * @param {Array} options.stallSites - Elongation stalls {pos, dwell} that queue ribosomes behind them
+ *                                      (default: slow-codon stalls of each start's ORF from the elongation model)
+ * @param {Object} options.params - RDG model parameters
+ * @returns {Object} Per-translon initiations, per-product counts, ribosome paths and occupancy profiles
+ */
+function simulateRibosomes(sequence, options = {}) {
+    const params = options.params || DEFAULT_RDG_PARAMS;
+    const readthroughStops = options.readthroughStops || [];
+    const frameshiftSites = options.frameshiftSites || [];
+    const opts = { ...DEFAULT_SIMULATION_OPTIONS, ...options };
+    const random = options.random || createSeededRandom(opts.seed);
+
+    const rawStarts = options.starts
+        || identifyFeatures(sequence, { readthroughStops, params }).predicted.startCodons;
+    const starts = normalizeSimulationStarts(sequence, rawStarts, params);
+    if (!Array.isArray(options.stallSites)) {
+        opts.stallSites = findElongationStalls(sequence, starts, params);
+    }
+    if (typeof opts.elongationRate !== 'number') {
+        opts.elongationRate = elongationParam(params, 'elongationRate');
+    }
+
+    const runs = [];
+    for (let r = 0; r < Math.max(1, opts.replicates); r++) {
+        runs.push(runSimulationReplicate(sequence, starts, readthroughStops, frameshiftSites, opts, params, random));
+    }
+
+    const fractionOf = (run, count) => run.loaded > 0 ? count / run.loaded : 0;
+
+    const translons = starts.map(site => ({
+        name: site.name,
+        startNt: site.pos,
+        endNt: site.stopPos,
+        frame: site.frame,
+        startCodon: site.codon,
+        initiationProbability: site.initiationProbability,
+        initiations: summarizeReplicates(runs.map(run => run.initiations[site.name] || 0)),
+        fraction: summarizeReplicates(runs.map(run => fractionOf(run, run.initiations[site.name] || 0)))
+    }));
+
+    const productKeys = new Set();
+    const pathKeys = new Set();
+    runs.forEach(run => {
+        Object.keys(run.products).forEach(k => productKeys.add(k));
+        Object.keys(run.paths).forEach(k => pathKeys.add(k));
+    });
+
+    const products = [...productKeys].map(key => {
+        const info = runs.find(run => run.productInfo[key]).productInfo[key];
+        return {
+            key,
+            ...info,
+            count: summarizeReplicates(runs.map(run => run.products[key] || 0)),
+            fraction: summarizeReplicates(runs.map(run => fractionOf(run, run.products[key] || 0)))
+        };
+    }).sort((a, b) => b.count.mean - a.count.mean);
+
+    const paths = [...pathKeys].map(key => ({
+        key,
+        count: summarizeReplicates(runs.map(run => run.paths[key] || 0))
+    })).sort((a, b) => b.count.mean - a.count.mean);
+
+    const summarizeProfile = (state) => {
+        const profile = { mean: [], lower: [], upper: [] };
+        for (let i = 0; i < sequence.length; i++) {
+            const s = summarizeReplicates(runs.map(run => run.occupancy[state][i]));
+            profile.mean.push(s.mean);
+            profile.lower.push(s.lower);
+            profile.upper.push(s.upper);
+        }
+        return profile;
+    };
+
+    const eventSummary = {};
+    Object.keys(runs[0].events).forEach(k => {
+        eventSummary[k] = summarizeReplicates(runs.map(run => run.events[k]));
+    });
+
+    return {
+        ribosomes: opts.ribosomes,
+        replicates: runs.length,
+        collisionMode: opts.collisionMode,
+        simulatedTime: summarizeReplicates(runs.map(run => run.time)),
+        translons,
+        products,
+        paths,
+        occupancy: {
+            scanning: summarizeProfile('scanning'),
+            translating: summarizeProfile('translating')
+        },
+        events: eventSummary
+    };
+}
+
+/**
+ * Compare ribosome queuing against the non-interacting scanning model
+ * Runs simulateRibosomes twice with the same seed: once with collisionMode 'none'
+ * and once with the requested interacting mode (default 'queue'), then reports the
+ * shift in each translon's initiation fraction and each product's yield.
+ *
+ * @param {string} sequence - RNA sequence (AUGC)
+ * @param {Object} options - simulateRibosomes options (loadingRate, scanningSpeed, stallSites, queuedInitiationRate, ...)
+ * @returns {Object} Both simulation results plus per-translon and per-product shifts
+ */
+function compareQueuingModel(sequence, options = {}) {
+    const seed = options.seed !== undefined && options.seed !== null
+        ? options.seed
+        : Math.floor(Math.random() * 4294967296);
+    const collisionMode = options.collisionMode && options.collisionMode !== 'none'
+        ? options.collisionMode
+        : 'queue';
+
+    const nonInteracting = simulateRibosomes(sequence, { ...options, seed, collisionMode: 'none' });
+    const queuing = simulateRibosomes(sequence, { ...options, seed, collisionMode });
+
+    const shift = (before, after) => ({
+        nonInteracting: before,
+        queuing: after,
+        delta: after - before,
+        foldChange: before > 0 ? after / before : (after > 0 ? Infinity : 1)
+    });
+
+    const translons = queuing.translons.map(t => {
+        const base = nonInteracting.translons.find(b => b.name === t.name);
+        return {
+            name: t.name,
+            startNt: t.startNt,
+            startCodon: t.startCodon,
+            ...shift(base ? base.fraction.mean : 0, t.fraction.mean)
+        };
+    });
+
+    const productKeys = new Set([
+        ...nonInteracting.products.map(p => p.key),
+        ...queuing.products.map(p => p.key)
+    ]);
+    const products = [...productKeys].map(key => {
+        const base = nonInteracting.products.find(p => p.key === key);
+        const queued = queuing.products.find(p => p.key === key);
+        return {
+            key,
+            ...shift(base ? base.fraction.mean : 0, queued ? queued.fraction.mean : 0)
+        };
+    }).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    return {
+        seed,
+        collisionMode,
+        nonInteracting,
+        queuing,
+        translons,
+        products
+    };
+}
+
 // ============================================================================
 // REPORTER-SPECIFIC CALCULATIONS
 // ============================================================================
 
 /**
- * Known reporter proteins with their molecular weights
+ * Reporter registry: proteins and epitope tags that can be assembled, detected and drawn,
+ * keyed by construct region type. Add entries with registerReporter.
+ * - name, mw (kDa), kind: 'reporter' (own start/stop) or 'tag' (fused in frame)
+ * - cds: coding sequence (RNA); library ORFs are synthesised from mw, tags back-translated from epitope
+ * - epitope: tag peptide; antibody: detecting antibody; color: construct map / legend colour
+ * - epitopes: [{ start, end } residues (1-based) or { peptide }, antibody?] bound by antibodies;
+ *   without them reporters are polyclonal targets and tags are bound at their epitope
+ * - variants: region types assembled and detected as this reporter; aliases: names in annotations
+ * - ptm: post-translational rules (see DEFAULT_PTM_RULES)
  */
 const REPORTER_PROTEINS = {
-    RLUC: { name: 'Renilla Luciferase', mw: 36 }, // kDa
-    FLUC: { name: 'Firefly Luciferase', mw: 61 },
-    GFP: { name: 'Green Fluorescent Protein', mw: 27 },
-    FLAG: { name: 'FLAG Tag', mw: 1 },
-    HA: { name: 'HA Tag', mw: 1 }
+    RLUC: { name: 'Renilla Luciferase', mw: 36, kind: 'reporter', antibody: 'anti-RLuc', color: '#2563EB', variants: ['RLUC_WEAK', 'RLUC_NO_STOP'], aliases: ['Renilla', 'hRluc'], ptm: { signalPeptide: false } }, // kDa
+    FLUC: { name: 'Firefly Luciferase', mw: 61, kind: 'reporter', antibody: 'anti-FLuc', color: '#DC2626', variants: [], aliases: ['firefly', 'luc+', 'luc2', 'Photinus'], ptm: { signalPeptide: false } },
+    GFP: { name: 'Green Fluorescent Protein', mw: 27, kind: 'reporter', antibody: 'anti-GFP', color: '#16A34A', variants: [], aliases: ['EGFP', 'green fluorescent'], ptm: { signalPeptide: false } },
+    // Acidic epitope tags run slower than their mass in SDS-PAGE; empirical offsets, adjust per lab
+    FLAG: { name: 'FLAG Tag', mw: 1, kind: 'tag', epitope: 'DYKDDDDK', antibody: 'anti-FLAG', color: '#9333EA', variants: [], aliases: [], ptm: { apparentOffsetKDa: 1.0 } },
+    HA: { name: 'HA Tag', mw: 1, kind: 'tag', epitope: 'YPYDVPDYA', antibody: 'anti-HA', color: '#DB2777', variants: [], aliases: [], ptm: { apparentOffsetKDa: 0.5 } }
+};
+
+/**
+ * Default post-translational rules, overridden per reporter by REPORTER_PROTEINS[type].ptm
+ * - imetExcision: 'auto' (MetAP rule on the second residue), true or false
+ * - signalPeptide: 'auto' (predict), false, or number of residues cleaved
+ * - apparentOffsetKDa: added to the apparent MW for each reporter the product carries
+ * - migrationFactor: multiplies the apparent MW (anomalous SDS migration)
+ */
+const DEFAULT_PTM_RULES = {
+    imetExcision: 'auto',
+    signalPeptide: 'auto',
+    apparentOffsetKDa: 0,
+    migrationFactor: 1
+};
+
+// One codon per residue for back-translating tag epitopes (avoids near-cognate starts where possible)
+const TAG_CODONS = {
+    A: 'GCC', R: 'CGC', N: 'AAC', D: 'GAC', C: 'UGC', Q: 'CAG', E: 'GAG', G: 'GGC', H: 'CAC', I: 'AUC',
+    L: 'CUC', K: 'AAG', M: 'AUG', F: 'UUC', P: 'CCC', S: 'AGC', T: 'ACC', W: 'UGG', Y: 'UAC', V: 'GUC'
 };
 
+// Coding sequence for a tag peptide (one TAG_CODONS codon per residue)
+function backTranslatePeptide(peptide) {
+    return peptide.split('').map(aa => TAG_CODONS[aa] || 'GGC').join('');
+}
+
+// Residues for a reporter of the given MW (~110 Da per residue)
+function reporterLengthFromMw(mwKDa) {
+    return Math.max(30, Math.round((mwKDa * 1000) / 110));
+}
+
+// Synthetic AUG...UAA ORF of aaLen residues
+function synthesizeReporterORF(aaLen) {
+    // Start codon AUG, then varied safe codons (no internal stops, avoid near-cognate starts), then UAA stop
+    // Avoid near-cognates: ACG, AUU, AUA, AUC, CUG, UUG, GUG
+    const safeCodons = [
+        'GCU','GCC','GCA','GCG',   // Ala
+        'GAU','GAC',               // Asp
+        'GAA','GAG',               // Glu
+        'GGU','GGC','GGA','GGG',   // Gly
+        'AAU','AAC',               // Asn (AAU/AAC safe; near-cognates are AUU/AUA/AUC)
+        'AAA','AAG',               // Lys
+        'ACU','ACC','ACA',         // Thr (exclude ACG near-cognate)
+        'CAU','CAC',               // His
+        'UAU','UAC',               // Tyr
+        'UGU','UGC',               // Cys
+        'CCU','CCC','CCA','CCG'    // Pro
+    ];
+    const bodyLen = Math.max(0, aaLen - 1);
+    let body = '';
+    for (let i = 0; i < bodyLen; i++) {
+        body += safeCodons[i % safeCodons.length];
+    }
+    return 'AUG' + body + 'UAA';
+}
+
 /**
  * Reporter ORF library (synthetic coding sequences approximating target MWs)
  * Generates minimal AUG...(AA)...STOP sequences at desired length.
  */
 const REPORTER_LIBRARY = (function() {
-    function aaFromMw(mwKDa) {
-        return Math.max(30, Math.round((mwKDa * 1000) / 110));
-    }
-    function synthesizeORF(aaLen) {
-        // Start codon AUG, then varied safe codons (no internal stops, avoid near-cognate starts), then UAA stop
-        // Avoid near-cognates: ACG, AUU, AUA, AUC, CUG, UUG, GUG
-        const safeCodons = [
-            'GCU','GCC','GCA','GCG',   // Ala
-            'GAU','GAC',               // Asp
-            'GAA','GAG',               // Glu
-            'GGU','GGC','GGA','GGG',   // Gly
-            'AAU','AAC',               // Asn (AAU/AAC safe; near-cognates are AUU/AUA/AUC)
-            'AAA','AAG',               // Lys
-            'ACU','ACC','ACA',         // Thr (exclude ACG near-cognate)
-            'CAU','CAC',               // His
-            'UAU','UAC',               // Tyr
-            'UGU','UGC',               // Cys
-            'CCU','CCC','CCA','CCG'    // Pro
-        ];
-        const bodyLen = Math.max(0, aaLen - 1);
-        let body = '';
-        for (let i = 0; i < bodyLen; i++) {
-            body += safeCodons[i % safeCodons.length];
-        }
-        return 'AUG' + body + 'UAA';
-    }
+    const aaFromMw = reporterLengthFromMw;
+    const synthesizeORF = synthesizeReporterORF;
     function synthesizeORFNoStop(aaLen) {
         // Varied codons without terminal stop (avoid near-cognates)
         const safeCodons = [
@@ -613,6 +2314,13 @@ const REPORTER_LIBRARY = (function() {
     };
 })();
 
+// Built-in tags are back-translated from their epitopes, as registerReporter does
+Object.entries(REPORTER_PROTEINS).forEach(([type, entry]) => {
+    if (entry.kind === 'tag' && entry.epitope && !REPORTER_LIBRARY[type]) {
+        REPORTER_LIBRARY[type] = backTranslatePeptide(entry.epitope);
+    }
+});
+
 // Return reporter CDS dynamically, preferring canonical sequences if provided on window.REPORTER_CDS
 function getReporterCDS(type) {
     try {
@@ -642,6 +2350,11 @@ function getReporterCDS(type) {
             if (type === 'FLUC' && fluc && fluc.startsWith('AUG')) {
                 return fluc;
             }
+            // Other registered reporters and tags take a page-provided CDS as is
+            const custom = toRNA(w.REPORTER_CDS[type]);
+            if (custom && type !== 'FLUC' && canonicalReporter(type) !== 'RLUC') {
+                return custom;
+            }
         }
     } catch (e) { /* ignore */ }
 
@@ -649,10 +2362,105 @@ function getReporterCDS(type) {
     return REPORTER_LIBRARY[type];
 }
 
+
+// Region types with fixed meaning in assembleConstruct; reporters cannot reuse them
+const RESERVED_REGION_TYPES = ['5UTR', '3UTR', 'CUSTOM', 'LINKER', 'PAD_G3', 'IRES'];
+
+/**
+ * Register a reporter protein or epitope tag so it can be assembled
+ * (assembleConstruct), detected in products (predictProteinProducts) and drawn.
+ * Re-registering a type replaces it.
+ *
+ * @param {string} type - Region type, e.g. 'NLUC' or 'V5' (letters, digits, '_')
+ * @param {Object} spec - { name, mw (kDa), kind: 'reporter'|'tag', cds, epitope, epitopes,
+ *                        antibody, color, variants: [region types], aliases: [names], ptm }
+ *                        At least one of cds, epitope or mw is required; tags default
+ *                        to kind 'tag' when only an epitope is given.
+ * @returns {Object} The registry entry
+ */
+function registerReporter(type, spec = {}) {
+    const key = String(type || '').toUpperCase();
+    if (!/^[A-Z][A-Z0-9_]*$/.test(key)) {
+        throw new Error(`Invalid reporter type '${type}' (use letters, digits and '_')`);
+    }
+    if (RESERVED_REGION_TYPES.includes(key)) {
+        throw new Error(`'${key}' is a built-in region type`);
+    }
+    const toRNA = (seq) => (seq || '').toUpperCase().replace(/[^ACGTU]/g, '').replace(/T/g, 'U');
+    const cds = toRNA(spec.cds) || null;
+    const epitope = spec.epitope ? String(spec.epitope).toUpperCase().replace(/[^A-Z]/g, '') : null;
+    const kind = spec.kind || (epitope && !cds ? 'tag' : 'reporter');
+
+    let mw = Number(spec.mw);
+    if (!(mw > 0)) {
+        if (cds) mw = calculateProteinProperties(translateORF(cds)).mwKDa;
+        else if (epitope) mw = calculateProteinProperties(epitope).mwKDa;
+        else throw new Error(`Reporter ${key} needs a cds, an epitope or an mw`);
+    }
+
+    let library = cds;
+    if (!library) {
+        library = kind === 'tag' && epitope
+            ? backTranslatePeptide(epitope)
+            : synthesizeReporterORF(reporterLengthFromMw(mw));
+    }
+
+    const entry = {
+        name: spec.name || key,
+        mw: parseFloat(mw.toFixed(2)),
+        kind,
+        cds,
+        epitope,
+        antibody: spec.antibody || `anti-${spec.name || key}`,
+        color: spec.color || '#64748b',
+        variants: (spec.variants || []).map(v => String(v).toUpperCase()),
+        aliases: spec.aliases || [],
+        epitopes: (spec.epitopes || []).map(ep => ({ ...ep })),
+        ptm: spec.ptm || {}
+    };
+    REPORTER_PROTEINS[key] = entry;
+    REPORTER_LIBRARY[key] = library;
+    entry.variants.forEach(v => {
+        if (!RESERVED_REGION_TYPES.includes(v)) REPORTER_LIBRARY[v] = REPORTER_LIBRARY[v] || library;
+    });
+    return entry;
+}
+
+/**
+ * Registry entry for a region type (variants resolve to their reporter)
+ * @param {string} type - Region type
+ * @returns {Object|null} { type, ...entry } or null
+ */
+function getReporterInfo(type) {
+    const key = canonicalReporter(type);
+    return key ? { type: key, ...REPORTER_PROTEINS[key] } : null;
+}
+
+/**
+ * All registered reporters and tags
+ * @returns {Array} [{ type, ...entry }] in registration order
+ */
+function listReporters() {
+    return Object.keys(REPORTER_PROTEINS).map(type => ({ type, ...REPORTER_PROTEINS[type] }));
+}
+
+// Lab reporters can be declared before the engine loads: window.RDG_REPORTERS = { NLUC: { cds, antibody, color } }
+// Entries that fail validation are skipped and listed in REPORTER_REGISTRATION_ERRORS for the page to show
+const REPORTER_REGISTRATION_ERRORS = [];
+if (typeof window !== 'undefined' && window.RDG_REPORTERS) {
+    Object.entries(window.RDG_REPORTERS).forEach(([type, spec]) => {
+        try {
+            registerReporter(type, spec);
+        } catch (e) {
+            REPORTER_REGISTRATION_ERRORS.push({ type, message: e.message });
+        }
+    });
+}
+
 /**
  * Assemble a construct sequence from user regions.
  * - 5UTR/3UTR/CUSTOM slices are taken from baseSequence
- * - RLUC/FLUC/GFP use synthetic reporter ORFs from library
+ * - Registered reporters and tags (RLUC/FLUC/GFP/FLAG/HA and registerReporter) use library ORFs
  * - LINKER uses a short flexible linker sequence
  * Returns assembled sequence and region coordinates in assembled space.
  */
@@ -660,11 +2468,17 @@ function assembleConstruct(baseSequence, regions) {
     let assembled = '';
     const assembledRegions = [];
 
-    function appendRegion(type, seq) {
+    // Entry efficiency (IRES) is carried through so entrySitesFromRegions can use it
+    function appendRegion(type, seq, source = {}) {
+        if (typeof seq !== 'string') {
+            throw new Error(`No sequence for region type ${type}`);
+        }
         const start = assembled.length;
         assembled += seq;
         const end = assembled.length;
-        assembledRegions.push({ type, start, end, assembled: true, color: (typeof window !== 'undefined' && window.REGION_COLORS && window.REGION_COLORS[type]) ? window.REGION_COLORS[type] : undefined });
+        const out = { type, start, end, assembled: true, color: (typeof window !== 'undefined' && window.REGION_COLORS && window.REGION_COLORS[type]) ? window.REGION_COLORS[type] : undefined };
+        if (typeof source.efficiency === 'number') out.efficiency = source.efficiency;
+        assembledRegions.push(out);
     }
 
     for (const region of regions) {
@@ -675,87 +2489,478 @@ function assembleConstruct(baseSequence, regions) {
             if (e > s) appendRegion(t, baseSequence.substring(s, e));
         } else if (t === 'PAD_G3') {
             appendRegion(t, 'GGG');
-        } else if (t === 'RLUC' || t === 'RLUC_NO_STOP' || t === 'RLUC_WEAK' || t === 'FLUC' || t === 'GFP') {
-            if (t === 'GFP') {
-                appendRegion(t, REPORTER_LIBRARY.GFP);
-            } else {
-                appendRegion(t, getReporterCDS(t));
-            }
         } else if (t === 'LINKER') {
             appendRegion(t, REPORTER_LIBRARY.LINKER);
+        } else if (canonicalReporter(t)) {
+            // Registered reporters and tags (and their variants) insert library sequences
+            appendRegion(t, getReporterCDS(t));
         } else {
             // Unknown: treat as slice
             const s = Math.max(0, (region.start || 1) - 1);
             const e = Math.min(baseSequence.length, region.end || baseSequence.length);
-            if (e > s) appendRegion(t, baseSequence.substring(s, e));
+            if (e > s) appendRegion(t, baseSequence.substring(s, e), region);
         }
     }
 
     return { sequence: assembled, regions: assembledRegions };
 }
 
+// Registry key for a region type: the type itself or the reporter listing it as a variant
 function canonicalReporter(type) {
-    if (type === 'RLUC' || type === 'RLUC_WEAK' || type === 'RLUC_NO_STOP') return 'RLUC';
-    if (type === 'FLUC') return 'FLUC';
-    if (type === 'GFP') return 'GFP';
-    return null;
+    if (Object.prototype.hasOwnProperty.call(REPORTER_PROTEINS, type)) return type;
+    return Object.keys(REPORTER_PROTEINS).find(key => (REPORTER_PROTEINS[key].variants || []).includes(type)) || null;
 }
 
 /**
  * Calculate expected protein products from a bicistronic reporter construct
+ * reporters are the reporters a product carries; antibodies/epitopes are those whose
+ * epitope survives intact (detectEpitopes), and only those products are detectable.
+ * Products with a protein sequence are annotated with post-translational size
+ * shifts (annotatePostTranslational): mw is the apparent MW, theoreticalMW the
+ * unprocessed translation product.
+ *
  * @param {Array} translons - Array of translon objects (from RDG analysis)
  * @param {Object} constructMap - Map of ORF positions to reporter names
- * @returns {Array} Array of protein product objects with MW and abundance
+ * @param {Object} options - { ptm: false to skip post-translational annotation }
+ * @returns {Array} Array of protein product objects with MW and abundance (plus abundanceInterval
+ *                  when the translons carry sampled abundances)
  */
-function predictProteinProducts(translons, constructMap) {
+function predictProteinProducts(translons, constructMap, options = {}) {
     const products = [];
+    const applyPTM = options.ptm !== false;
+    const epitopeSites = buildEpitopeSites(constructMap);
 
     translons.forEach(translon => {
-        // Determine which reporters this translon would produce
-        const reporters = [];
-
-        // Check overlap with reporter regions using frame-aware, lenient criteria
-        for (const [orfType, region] of Object.entries(constructMap)) {
-            const rep = canonicalReporter(orfType);
-            if (!rep || !(rep in REPORTER_PROTEINS)) continue;
-
-            const regionStart = region.start;
-            const regionEnd = region.end;
-            const regionLen = Math.max(0, regionEnd - regionStart);
-            const regionFrame = regionStart % 3;
-
-            // Overlap calculation
-            const overlapStart = Math.max(translon.startNt, regionStart);
-            const overlapEnd = Math.min(translon.endNt, regionEnd);
-            const overlapLen = Math.max(0, overlapEnd - overlapStart);
+        const abundance = (translon.predictedAbundance ?? translon.predictedLUC ?? translon.probability) || 0;
 
-            const startsInsideRegion = translon.startNt >= regionStart && translon.startNt < regionEnd;
-            const spansMostOfRegion = overlapLen >= 0.5 * regionLen;
-            const frameMatches = translon.frame === regionFrame;
+        // Sampled abundances (propagateAbundanceUncertainty) scale with the product's share of the translon
+        const samples = Array.isArray(translon.abundanceSamples) ? translon.abundanceSamples : null;
+        const uncertaintyFor = (fraction) => {
+            if (!samples) return {};
+            const scaled = samples.map(v => v * fraction);
+            const level = translon.abundanceInterval ? translon.abundanceInterval.level : undefined;
+            return { abundanceSamples: scaled, abundanceInterval: summarizeAbundanceDraws(scaled, level) };
+        };
 
-            if (frameMatches && (startsInsideRegion || spansMostOfRegion)) {
-                reporters.push(rep);
-            }
+        // Recoded translons yield one product per branch (terminated, readthrough, frameshifted)
+        if (Array.isArray(translon.recodedProducts) && translon.recodedProducts.length > 0) {
+            translon.recodedProducts.forEach(branch => {
+                const reporters = findReportersInSegments(branch.segments, constructMap);
+                const detection = detectEpitopes(branch.segments, branch.aaSequence, reporters, epitopeSites);
+                const properties = calculateProteinProperties(branch.aaSequence);
+                products.push({
+                    name: branch.label ? `${translon.name}[${branch.label}]` : translon.name,
+                    parent: translon.name,
+                    reporters: reporters,
+                    mw: properties.mwKDa,
+                    properties,
+                    abundance: abundance * branch.fraction,
+                    startPos: translon.startNt,
+                    endPos: branch.endNt,
+                    recoding: branch.events,
+                    fraction: branch.fraction,
+                    aaSequence: branch.aaSequence,
+                    antibodies: detection.antibodies,
+                    epitopes: detection.epitopes,
+                    detectable: detection.antibodies.length > 0,
+                    ...uncertaintyFor(branch.fraction)
+                });
+            });
+            return;
         }
 
-        // Calculate MW from ORF length for realism (handles fusions automatically)
-        const totalMW = calculateProteinMW(translon.endNt - translon.startNt);
+        // Determine which reporters this translon would produce and which antibodies see it
+        const segments = [{ start: translon.startNt, end: translon.endNt, frame: translon.frame }];
+        const reporters = findReportersInSegments(segments, constructMap);
+        const detection = detectEpitopes(segments, translon.aaSequence || null, reporters, epitopeSites);
 
-        const detectable = reporters.length > 0;
+        // Residue-accurate MW when the translon carries its protein sequence,
+        // otherwise estimate from ORF length (handles fusions automatically)
+        const properties = translon.proteinProperties
+            || (translon.aaSequence ? calculateProteinProperties(translon.aaSequence) : null);
+        const totalMW = properties ? properties.mwKDa : calculateProteinMW(translon.endNt - translon.startNt);
+
+        const detectable = detection.antibodies.length > 0;
         products.push({
             name: translon.name,
             reporters: reporters,
+            antibodies: detection.antibodies,
+            epitopes: detection.epitopes,
             mw: totalMW,
-            abundance: (translon.predictedAbundance ?? translon.predictedLUC ?? translon.probability) || 0,
+            properties,
+            aaSequence: translon.aaSequence,
+            abundance: abundance,
             startPos: translon.startNt,
             endPos: translon.endNt,
-            detectable
+            detectable,
+            ...uncertaintyFor(1)
         });
     });
 
+    products.forEach(product => {
+        product.theoreticalMW = product.mw;
+        product.apparentMW = product.mw;
+        if (applyPTM && product.aaSequence) {
+            const annotation = annotatePostTranslational(product, constructMap);
+            product.apparentMW = annotation.apparentMW;
+            product.mw = annotation.apparentMW;
+            product.ptm = annotation.modifications;
+        }
+    });
+
     return products;
 }
 
+/**
+ * Reporters carried by a translated path made of one or more in-frame segments
+ * (a frameshifted product has a segment per frame).
+ * A reporter counts if a segment is in its frame and either starts inside the
+ * region or the in-frame segments cover at least half of it.
+ *
+ * @param {Array} segments - [{start, end, frame}]
+ * @param {Object} constructMap - Reporter regions keyed by type
+ * @returns {Array} Reporter names
+ */
+function findReportersInSegments(segments, constructMap) {
+    const reporters = [];
+
+    // Check overlap with reporter regions using frame-aware, lenient criteria
+    for (const [orfType, region] of Object.entries(constructMap)) {
+        const rep = canonicalReporter(orfType);
+        if (!rep || !(rep in REPORTER_PROTEINS)) continue;
+
+        const regionStart = region.start;
+        const regionEnd = region.end;
+        const regionLen = Math.max(0, regionEnd - regionStart);
+        const regionFrame = regionStart % 3;
+
+        const inFrame = segments.filter(seg => seg.frame === regionFrame);
+        if (inFrame.length === 0) continue;
+
+        // Overlap calculation
+        const overlapLen = inFrame.reduce((sum, seg) => {
+            const overlapStart = Math.max(seg.start, regionStart);
+            const overlapEnd = Math.min(seg.end, regionEnd);
+            return sum + Math.max(0, overlapEnd - overlapStart);
+        }, 0);
+
+        const startsInsideRegion = inFrame.some(seg => seg.start >= regionStart && seg.start < regionEnd);
+        const spansMostOfRegion = overlapLen >= 0.5 * regionLen;
+
+        if (startsInsideRegion || spansMostOfRegion) {
+            reporters.push(rep);
+        }
+    }
+
+    return reporters;
+}
+
+/**
+ * Epitopes of a reporter region type as residue ranges of its protein.
+ * Declared epitopes (REPORTER_PROTEINS[type].epitopes) give { start, end } or a
+ * { peptide } located in the protein; tags default to their epitope peptide.
+ * Reporters without epitopes are polyclonal targets and return [].
+ *
+ * @param {string} type - Region type (variants use their own CDS)
+ * @returns {Array} [{ antibody, start, end (1-based, inclusive), peptide }]
+ */
+function reporterEpitopes(type) {
+    const reporter = canonicalReporter(type);
+    if (!reporter) return [];
+    const entry = REPORTER_PROTEINS[reporter];
+    const declared = (entry.epitopes && entry.epitopes.length)
+        ? entry.epitopes
+        : (entry.epitope ? [{ peptide: entry.epitope }] : []);
+    if (declared.length === 0) return [];
+
+    const cds = getReporterCDS(type);
+    const protein = cds ? translateORF(cds) : '';
+    return declared.map(ep => {
+        let peptide = ep.peptide ? String(ep.peptide).toUpperCase() : null;
+        let start = ep.start;
+        let end = ep.end;
+        if (!(start > 0) && peptide) {
+            const idx = protein.indexOf(peptide);
+            if (idx === -1) return null;
+            start = idx + 1;
+            end = idx + peptide.length;
+        }
+        if (!(start > 0) || !(end >= start)) return null;
+        if (!peptide && protein.length >= end) peptide = protein.substring(start - 1, end);
+        return { antibody: ep.antibody || entry.antibody, start, end, peptide };
+    }).filter(Boolean);
+}
+
+/**
+ * Epitope sites of every reporter region in a construct map
+ * @param {Object} constructMap - Reporter regions keyed by type
+ * @returns {Array} [{ type, reporter, antibody, start, end (0-based nt, half-open), peptide }]
+ */
+function buildEpitopeSites(constructMap) {
+    const sites = [];
+    for (const [type, region] of Object.entries(constructMap)) {
+        const reporter = canonicalReporter(type);
+        if (!reporter) continue;
+        reporterEpitopes(type).forEach(ep => {
+            sites.push({
+                type,
+                reporter,
+                antibody: ep.antibody,
+                start: region.start + 3 * (ep.start - 1),
+                end: region.start + 3 * ep.end,
+                peptide: ep.peptide
+            });
+        });
+    }
+    return sites;
+}
+
+/**
+ * Antibodies that detect a translated path.
+ * An epitope counts only when an in-frame segment covers all of its codons and,
+ * when the product sequence is known, the residues there still match the
+ * epitope peptide (truncations and in-epitope mutations lose the signal).
+ * Carried reporters without declared epitopes are detected by their antibody.
+ *
+ * @param {Array} segments - [{start, end, frame}] in translation order
+ * @param {string|null} aaSequence - Product protein sequence
+ * @param {Array} reporters - Carried reporters (findReportersInSegments)
+ * @param {Array} sites - buildEpitopeSites output
+ * @returns {Object} { antibodies: [names], epitopes: [{ reporter, antibody, start, end }] }
+ */
+function detectEpitopes(segments, aaSequence, reporters, sites) {
+    const antibodies = new Set();
+    const epitopes = [];
+
+    reporters.forEach(rep => {
+        if (!sites.some(site => site.reporter === rep)) antibodies.add(REPORTER_PROTEINS[rep].antibody);
+    });
+
+    sites.forEach(site => {
+        // Residues before the epitope: every codon of the earlier segments, read-through
+        // stops included (they stay inside a segment and add one residue, X)
+        let aaOffset = null;
+        let residues = 0;
+        for (const seg of segments) {
+            if (seg.frame === site.start % 3 && seg.start <= site.start && seg.end >= site.end) {
+                aaOffset = residues + (site.start - seg.start) / 3;
+                break;
+            }
+            residues += Math.floor((seg.end - seg.start) / 3);
+        }
+        if (aaOffset === null) return;
+        if (aaSequence && site.peptide && aaSequence.substr(aaOffset, site.peptide.length) !== site.peptide) return;
+        antibodies.add(site.antibody);
+        epitopes.push({ reporter: site.reporter, antibody: site.antibody, start: site.start, end: site.end });
+    });
+
+    return { antibodies: [...antibodies], epitopes };
+}
+
+/**
+ * Antibodies defined by the reporter registry (epitopes, or the reporter's own antibody)
+ * @returns {Array} [{ antibody, reporters: [types], color }] in registry order
+ */
+function listAntibodies() {
+    const byName = new Map();
+    Object.entries(REPORTER_PROTEINS).forEach(([type, entry]) => {
+        const names = (entry.epitopes && entry.epitopes.length)
+            ? entry.epitopes.map(ep => ep.antibody || entry.antibody)
+            : [entry.antibody];
+        names.forEach(name => {
+            const ab = byName.get(name) || { antibody: name, reporters: [], color: entry.color };
+            if (!ab.reporters.includes(type)) ab.reporters.push(type);
+            byName.set(name, ab);
+        });
+    });
+    return [...byName.values()];
+}
+
+/**
+ * Products detected by any of the given antibodies (one imaging channel)
+ * @param {Array} products - predictProteinProducts output
+ * @param {Array|string} antibodies - Antibody names
+ * @returns {Array} Matching products
+ */
+function productsForAntibodies(products, antibodies) {
+    const wanted = Array.isArray(antibodies) ? antibodies : [antibodies];
+    return products.filter(p => (p.antibodies || []).some(ab => wanted.includes(ab)));
+}
+
+/**
+ * Split products into imaging channels for multi-antibody (e.g. two-colour) blots.
+ * A product detected by antibodies in several channels appears in each.
+ * @param {Array} products - predictProteinProducts output
+ * @param {Array} channels - [{ name, antibodies: [names], color }]
+ * @returns {Array} [{ ...channel, products }]
+ */
+function splitProductsByChannel(products, channels) {
+    return channels.map(channel => ({ ...channel, products: productsForAntibodies(products, channel.antibodies || []) }));
+}
+
+// MetAP removes the initiator Met when the second residue is small (Frottin et al. 2006)
+const IMET_EXCISION_RESIDUES = ['A', 'C', 'G', 'P', 'S', 'T', 'V'];
+
+// Signal peptide geometry (von Heijne 1985/1986): n-region net charge, h-region and c-region lengths
+const SIGNAL_PEPTIDE_RULES = {
+    nRegionMin: 6,           // The n-region is read up to here even when the h-region starts earlier
+    minNetCharge: 1,         // (K + R) - (D + E) in the n-region
+    minHydrophobic: 7,       // Hydrophobic (Kyte-Doolittle > 0) residues in the h-region
+    maxCRegion: 8            // Residues from the end of the h-region to the cleavage site
+};
+
+/**
+ * Predict an N-terminal signal peptide (simplified von Heijne rules)
+ * Looks for a hydrophobic h-region (8-residue window, mean Kyte-Doolittle >= 1.8)
+ * starting within the first 20 residues. The h-region runs from the first hydrophobic
+ * residue after the window's last charged residue up to the next charged or strongly
+ * polar (N, Q, H) residue and must hold at least minHydrophobic hydrophobic residues.
+ * The n-region before it needs a net positive charge. The cleavage site is the first one within maxCRegion
+ * residues of the h-region (15-35 residues in) that satisfies the (-3,-1) rule with
+ * no proline at -3..+1.
+ *
+ * @param {string} aaSequence - Protein sequence
+ * @returns {Object|null} { cleavageSite (residues removed), hRegion: [start, end], nRegionCharge } or null
+ */
+function predictSignalPeptide(aaSequence) {
+    const protein = (aaSequence || '').toUpperCase();
+    if (protein.length < 25) return null;
+
+    const hydropathy = (aa) => (AMINO_ACID_PROPERTIES[aa] || AMINO_ACID_PROPERTIES.X).hydropathy;
+    const charged = (aa) => 'DEKR'.includes(aa);
+    const polar = (aa) => charged(aa) || 'NQH'.includes(aa);
+    const windowSize = 8;
+
+    let windowStart = -1;
+    for (let i = 1; i <= 20 && i + windowSize <= protein.length; i++) {
+        let sum = 0;
+        for (let j = i; j < i + windowSize; j++) sum += hydropathy(protein[j]);
+        if (sum / windowSize >= 1.8) {
+            windowStart = i;
+            break;
+        }
+    }
+    if (windowStart < 0) return null;
+
+    let hStart = windowStart;
+    for (let j = windowStart; j < windowStart + windowSize; j++) {
+        if (charged(protein[j])) hStart = j + 1;
+    }
+    while (hStart < protein.length && hydropathy(protein[hStart]) <= 0) hStart++;
+    let hEnd = hStart;
+    while (hEnd < protein.length && !polar(protein[hEnd])) hEnd++;
+    const hydrophobic = protein.substring(hStart, hEnd).split('').filter(aa => hydropathy(aa) > 0).length;
+    if (hydrophobic < SIGNAL_PEPTIDE_RULES.minHydrophobic) return null;
+
+    // Positive n-region (the Met is not counted)
+    const nRegion = protein.substring(1, Math.max(hStart, SIGNAL_PEPTIDE_RULES.nRegionMin));
+    const count = (set) => nRegion.split('').filter(aa => set.includes(aa)).length;
+    const nRegionCharge = count('KR') - count('DE');
+    if (nRegionCharge < SIGNAL_PEPTIDE_RULES.minNetCharge) return null;
+
+    const minusOne = ['A', 'G', 'S', 'C', 'T'];
+    const minusThree = ['A', 'G', 'S', 'C', 'T', 'V', 'I', 'L'];
+    const lastSite = Math.min(35, protein.length - 1, hEnd + SIGNAL_PEPTIDE_RULES.maxCRegion);
+    for (let site = Math.max(15, hEnd + 1); site <= lastSite; site++) {
+        const noProline = !protein.substring(site - 3, site + 1).includes('P');
+        if (minusOne.includes(protein[site - 1]) && minusThree.includes(protein[site - 3]) && noProline) {
+            return { cleavageSite: site, hRegion: [hStart, hEnd], nRegionCharge };
+        }
+    }
+    return null;
+}
+
+/**
+ * Annotate a product with post-translational size shifts
+ * N-terminal rules (signal peptide, iMet excision) come from the reporter whose
+ * region contains the product's start; tag offsets and migration factors apply
+ * for every reporter or tag the product carries in frame.
+ *
+ * @param {Object} product - Product with aaSequence, startPos, endPos and reporters
+ * @param {Object} constructMap - Reporter regions keyed by type
+ * @returns {Object} { theoreticalMW, matureMW, apparentMW (kDa), matureSequence, modifications }
+ */
+function annotatePostTranslational(product, constructMap = {}) {
+    const rulesFor = (reporter) => ({
+        ...DEFAULT_PTM_RULES,
+        ...((REPORTER_PROTEINS[reporter] && REPORTER_PROTEINS[reporter].ptm) || {})
+    });
+
+    let nTermReporter = null;
+    const carried = new Set(product.reporters || []);
+    for (const [type, region] of Object.entries(constructMap)) {
+        const rep = canonicalReporter(type);
+        if (!rep) continue;
+        if (product.startPos >= region.start && product.startPos < region.end && !nTermReporter) {
+            nTermReporter = rep;
+        }
+        // Short tags are carried when they sit in frame inside the product
+        const inFrame = region.start % 3 === product.startPos % 3;
+        if (inFrame && region.start >= product.startPos && region.end <= product.endPos) {
+            carried.add(rep);
+        }
+    }
+    const nTermRules = rulesFor(nTermReporter);
+
+    const protein = product.aaSequence || '';
+    const theoreticalMW = calculateProteinProperties(protein).mwKDa;
+    const modifications = [];
+    let mature = protein;
+    let currentMW = theoreticalMW;
+
+    const rule = nTermRules.signalPeptide;
+    const signal = typeof rule === 'number' && rule > 0
+        ? { cleavageSite: rule }
+        : ((rule === 'auto' || rule === true) ? predictSignalPeptide(protein) : null);
+    if (signal) {
+        mature = protein.substring(signal.cleavageSite);
+        const mw = calculateProteinProperties(mature).mwKDa;
+        modifications.push({
+            type: 'signalPeptide',
+            cleavageSite: signal.cleavageSite,
+            removed: protein.substring(0, signal.cleavageSite),
+            deltaKDa: mw - currentMW
+        });
+        currentMW = mw;
+    }
+
+    // Signal peptide cleavage already removes the initiator Met
+    const exciseMet = nTermRules.imetExcision === true
+        || (nTermRules.imetExcision === 'auto' && IMET_EXCISION_RESIDUES.includes(mature[1]));
+    if (!signal && mature[0] === 'M' && mature.length > 1 && exciseMet) {
+        mature = mature.substring(1);
+        const mw = calculateProteinProperties(mature).mwKDa;
+        modifications.push({ type: 'iMetExcision', removed: 'M', deltaKDa: mw - currentMW });
+        currentMW = mw;
+    }
+
+    const matureMW = currentMW;
+    let apparentMW = matureMW;
+    carried.forEach(rep => {
+        const rules = rulesFor(rep);
+        if (rules.apparentOffsetKDa) {
+            apparentMW += rules.apparentOffsetKDa;
+            modifications.push({ type: 'tagOffset', reporter: rep, deltaKDa: rules.apparentOffsetKDa });
+        }
+    });
+    carried.forEach(rep => {
+        const rules = rulesFor(rep);
+        if (rules.migrationFactor && rules.migrationFactor !== 1) {
+            const before = apparentMW;
+            apparentMW *= rules.migrationFactor;
+            modifications.push({ type: 'migration', reporter: rep, factor: rules.migrationFactor, deltaKDa: apparentMW - before });
+        }
+    });
+
+    return {
+        theoreticalMW,
+        matureMW,
+        apparentMW,
+        matureSequence: mature,
+        modifications
+    };
+}
+
 /**
  * Build translon objects with RDG-derived abundance and protein size predictions
  * @param {string} sequence - RNA sequence (AUGC)
@@ -764,41 +2969,82 @@ function predictProteinProducts(translons, constructMap) {
  * @param {Array} options.startCodons - Pre-computed start codon annotations
  * @param {Object} options.features - Pre-computed feature annotations
  * @param {Object} options.params - RDG parameter overrides
- * @returns {Array} Array of translon objects
+ * @param {Array} options.readthroughStops - Readthrough stops {pos, probability}; branch products per translon
+ * @param {Array} options.frameshiftSites - Frameshift sites {pos, fromFrame, shift, probability}
+ * @param {Array} options.entrySites - Internal entry sites {pos, efficiency} (IRES); flux enters there in addition to the cap
+ * @param {Object|boolean} options.uncertainty - Sample parameter distributions for credible intervals
+ *                                              (propagateAbundanceUncertainty options, or true for the defaults)
+ * @param {number} options.abundanceReference - Output fraction that abundance 1 stands for (default: the strongest translon)
+ * @returns {Array} Array of translon objects; predictedAbundance is the steady-state output relative to the strongest translon
+ *                  (computeSteadyStateElongation) and elongation holds transit time, ribosome load and stalls
  */
 function buildTranslons(sequence, options = {}) {
     const limit = typeof options.limit === 'number' ? options.limit : 12;
     const params = options.params || DEFAULT_RDG_PARAMS;
+    const readthroughStops = options.readthroughStops || [];
+    const frameshiftSites = options.frameshiftSites || [];
 
     const featureData = options.features || identifyFeatures(sequence, { params });
     const canonicalStartPos = featureData.canonical.start ? featureData.canonical.start.pos : null;
     const uorfStartLookup = new Set(featureData.predicted.uorfs.map(u => u.start));
 
     const startAnnotations = options.startCodons && options.startCodons.length > 0
-        ? options.startCodons.map((start, idx) => ({
-            ...start,
-            initiationProbability: start.initiationProbability || calculateInitiationProbability(
-                start.codon,
-                start.kozakScore,
-                start.gcContent,
-                params
-            ),
-            index: typeof start.index === 'number' ? start.index : idx
-        }))
+        ? options.startCodons.map((start, idx) => {
+            // Score context against the PWM when the caller did not supply it
+            const kozakScore = typeof start.kozakScore === 'number'
+                ? start.kozakScore
+                : calculateKozakScore(sequence, start.pos, params.kozakPWM);
+            const structure = start.structure || (params.structureModel === 'mfe' ? estimateStartStructure(sequence, start.pos, params) : undefined);
+            const tisuScore = typeof start.tisuScore === 'number' || !params.capProximity
+                ? start.tisuScore
+                : calculateTISUScore(sequence, start.pos);
+            return {
+                ...start,
+                kozakScore,
+                structure,
+                tisuScore,
+                initiationProbability: start.initiationProbability || calculateInitiationProbability(
+                    start.codon,
+                    kozakScore,
+                    start.gcContent,
+                    params,
+                    structure,
+                    { pos: start.pos, tisuScore }
+                ),
+                index: typeof start.index === 'number' ? start.index : idx
+            };
+        })
         : featureData.predicted.startCodons;
 
-    // Compute scanning flux-based abundances along the mRNA
-    const fluxByPos = computeTranslonFlux(startAnnotations, params);
+    // Compute scanning flux-based abundances along the mRNA (hairpins impede scanning in 'mfe' mode)
+    const scanningBarriers = params.structureModel === 'mfe' ? findScanningBarriers(sequence, params) : [];
+    // Elongation caps act on absolute initiation flux (relative to cap loading); abundances are
+    // normalized to the strongest output afterwards
+    const fluxByPos = computeTranslonFlux(startAnnotations, params, scanningBarriers, options.entrySites || [], false);
+    const elongationByPos = new Map(startAnnotations.map(start => {
+        const flux = fluxByPos.has(start.pos)
+            ? fluxByPos.get(start.pos)
+            : (start.initiationProbability || calculateInitiationProbability(start.codon, start.kozakScore, start.gcContent, params, start.structure, start));
+        return [start.pos, computeSteadyStateElongation(sequence, start.pos, start.stopPos, flux, params)];
+    }));
+    let maxOutput = 0;
+    elongationByPos.forEach(e => { if (e.outputFraction > maxOutput) maxOutput = e.outputFraction; });
+    const reference = options.abundanceReference > 0 ? options.abundanceReference : maxOutput;
 
     const makeTranslon = (start, idx) => {
         const initiationProbability = start.initiationProbability || calculateInitiationProbability(
             start.codon,
             start.kozakScore,
             start.gcContent,
-            params
+            params,
+            start.structure,
+            start
         );
 
-        const proteinSize = parseFloat(calculateProteinMW(start.orfLength).toFixed(2));
+        // Residue-accurate MW from the translated ORF
+        const aaSequence = translateORF(sequence.substring(start.pos, start.stopPos), params.geneticCode);
+        const proteinProperties = calculateProteinProperties(aaSequence);
+        const proteinSize = parseFloat(proteinProperties.mwKDa.toFixed(2));
 
         let classification = 'downstream';
         if (canonicalStartPos !== null && start.pos === canonicalStartPos) {
@@ -809,6 +3055,19 @@ function buildTranslons(sequence, options = {}) {
             classification = 'upstream';
         }
 
+        // Steady-state output: initiation flux capped by the ORF's elongation capacity
+        const elongation = elongationByPos.get(start.pos);
+        const abundance = parseFloat((reference > 0 ? elongation.outputFraction / reference : 0).toFixed(4));
+
+        // Split the start's flux into terminated and recoded products
+        const recodedProducts = (readthroughStops.length > 0 || frameshiftSites.length > 0)
+            ? traceRecodedProducts(sequence, start.pos, {
+                readthroughStops,
+                frameshiftSites,
+                geneticCode: params.geneticCode
+            })
+            : [];
+
         return {
             pathId: `T${idx + 1}`,
             name: `T${idx + 1}`,
@@ -819,17 +3078,32 @@ function buildTranslons(sequence, options = {}) {
             startCodon: start.codon,
             kozakScore: start.kozakScore,
             gcContent: start.gcContent,
+            structure: start.structure,
             isCanonicalStart: classification === 'canonical',
             isAUG: start.isAUG,
             classification,
             predictedProteinSize: proteinSize,
             predictedProteinSizeKd: proteinSize,
-            predictedAbundance: parseFloat((fluxByPos.get(start.pos) || initiationProbability).toFixed(4)),
-            predictedLUC: parseFloat((fluxByPos.get(start.pos) || initiationProbability).toFixed(4)),
+            predictedAbundance: abundance,
+            predictedLUC: abundance,
             probability: initiationProbability,
             orfLength: start.orfLength,
+            aaSequence,
+            proteinProperties,
             initiationProbability,
-            sourceIndex: start.index
+            sourceIndex: start.index,
+            elongation: {
+                transitTime: parseFloat(elongation.transitTime.toFixed(2)),
+                meanRate: parseFloat(elongation.meanRate.toFixed(3)),
+                ribosomeLoad: parseFloat(elongation.ribosomeLoad.toFixed(3)),
+                density: parseFloat(elongation.density.toFixed(5)),
+                output: elongation.output,
+                outputFraction: elongation.outputFraction,
+                capacity: elongation.capacity,
+                elongationLimited: elongation.elongationLimited,
+                stalls: elongation.stalls
+            },
+            recodedProducts: recodedProducts.length > 1 ? recodedProducts : undefined
         };
     };
 
@@ -863,9 +3137,1334 @@ function buildTranslons(sequence, options = {}) {
         translon.name = pathLabel;
     });
 
+    // Credible intervals from sampled parameters
+    if (options.uncertainty) {
+        propagateAbundanceUncertainty(sequence, limited, {
+            ...(options.uncertainty === true ? {} : options.uncertainty),
+            features: featureData,
+            startCodons: startAnnotations,
+            readthroughStops,
+            frameshiftSites,
+            entrySites: options.entrySites || [],
+            params,
+            reference
+        });
+    }
+
     return limited;
 }
 
+// ============================================================================
+// ORF CALLING FROM RIBOSOME PROFILING
+// ============================================================================
+
+const DEFAULT_ORF_CALLING_OPTIONS = {
+    minCodons: 10,            // Shortest ORF (codons, excluding stop) worth testing
+    minReads: 10,             // P-sites needed inside the ORF
+    minInFrameFraction: 0.5,  // Share of P-sites on the first nt of codons
+    minORFscore: 2,           // Bazzini et al. 2014 frame-bias score
+    alpha: 0.01               // One-sided binomial test of in-frame enrichment (p0 = 1/3)
+};
+
+// Lanczos approximation of log Γ(x) for the binomial tail
+function logGamma(x) {
+    const g = 7;
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = c[0];
+    const t = x + g + 0.5;
+    for (let i = 1; i < g + 2; i++) a += c[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Terms below this fraction of the running tail sum end the summation
+const BINOMIAL_TAIL_EPSILON = 1e-15;
+
+// P(X >= k) for X ~ Binomial(n, p)
+// Sums away from the mode, where terms shrink geometrically, and stops once they are negligible:
+// the upper tail directly above the mean, otherwise one minus the lower tail below k
+function binomialUpperTail(k, n, p) {
+    if (k <= 0) return 1;
+    if (k > n) return 0;
+    if (p <= 0) return 0;
+    if (p >= 1) return 1;
+    const logP = Math.log(p);
+    const logQ = Math.log(1 - p);
+    const logTerm = (i) => logGamma(n + 1) - logGamma(i + 1) - logGamma(n - i + 1) + i * logP + (n - i) * logQ;
+    const ratio = p / (1 - p);
+
+    if (k > n * p) {
+        let term = Math.exp(logTerm(k));
+        let sum = 0;
+        for (let i = k; i <= n && term > 0; i++) {
+            sum += term;
+            if (term < sum * BINOMIAL_TAIL_EPSILON) break;
+            term *= ratio * (n - i) / (i + 1);
+        }
+        return Math.min(1, sum);
+    }
+
+    let term = Math.exp(logTerm(k - 1));
+    let lower = 0;
+    for (let i = k - 1; i >= 0 && term > 0; i--) {
+        lower += term;
+        if (term < lower * BINOMIAL_TAIL_EPSILON) break;
+        term *= i / ((n - i + 1) * ratio);
+    }
+    return Math.max(0, Math.min(1, 1 - lower));
+}
+
+/**
+ * Frame-consistency statistics for P-site coverage over one ORF
+ * Counts P-sites at each codon position from the start codon up to (not
+ * including) the stop codon; frame 0 is the ORF's own reading frame.
+ *
+ * @param {Array} counts - P-site counts per nucleotide (0-based transcript positions)
+ * @param {number} start - Start codon position
+ * @param {number} stopPos - Position after the stop codon (as in findStartCodons)
+ * @returns {Object} { reads, frameCounts, inFrameFraction, codonCoverage, density, orfScore, pValue }
+ */
+function scoreORFCoverage(counts, start, stopPos) {
+    const end = Math.min(stopPos - 3, counts.length);
+    const frameCounts = [0, 0, 0];
+    let codons = 0;
+    let coveredCodons = 0;
+    for (let codon = start; codon < end; codon += 3) {
+        codons++;
+        let inCodon = 0;
+        for (let k = 0; k < 3 && codon + k < end; k++) {
+            const c = counts[codon + k] || 0;
+            frameCounts[k] += c;
+            inCodon += k === 0 ? c : 0;
+        }
+        if (inCodon > 0) coveredCodons++;
+    }
+
+    const reads = frameCounts[0] + frameCounts[1] + frameCounts[2];
+    const mean = reads / 3;
+    // ORFscore: log2 of the chi-square-like frame deviation, negative unless frame 0 dominates
+    const deviation = mean > 0 ? frameCounts.reduce((sum, f) => sum + Math.pow(f - mean, 2) / mean, 0) : 0;
+    const sign = frameCounts[0] >= frameCounts[1] && frameCounts[0] >= frameCounts[2] ? 1 : -1;
+    const n = Math.round(reads);
+
+    return {
+        reads,
+        frameCounts,
+        inFrameFraction: reads > 0 ? frameCounts[0] / reads : 0,
+        codonCoverage: codons > 0 ? coveredCodons / codons : 0,
+        density: codons > 0 ? reads / codons : 0,
+        orfScore: sign * Math.log2(deviation + 1),
+        pValue: n > 0 ? binomialUpperTail(Math.round(n * frameCounts[0] / reads), n, 1 / 3) : 1
+    };
+}
+
+/**
+ * Call translated ORFs from P-site coverage
+ * Candidates are the start codons from findStartCodons. Starts sharing a stop
+ * codon are nested N-terminal extensions of one ORF, so within each group the
+ * most upstream start is called whose own unique 5' stretch (up to the next
+ * candidate start) is still in-frame; the downstream starts become alternatives.
+ *
+ * @param {string} sequence - RNA sequence
+ * @param {Object|Array} coverage - P-site counts array or { counts } (e.g. RiboSeq.buildCoverageTrack)
+ * @param {Object} options - DEFAULT_ORF_CALLING_OPTIONS plus { startCodons, readthroughStops, params, includeRejected }
+ * @returns {Array} Called ORFs sorted by position (all tested ORFs with includeRejected)
+ */
+function callTranslatedORFs(sequence, coverage, options = {}) {
+    const opts = { ...DEFAULT_ORF_CALLING_OPTIONS, ...options };
+    const params = opts.params || DEFAULT_RDG_PARAMS;
+    const counts = Array.isArray(coverage) ? coverage : ((coverage && coverage.counts) || []);
+    const starts = opts.startCodons || findStartCodons(sequence, opts.readthroughStops || [], params);
+
+    const passes = (stats) => stats.reads >= opts.minReads
+        && stats.inFrameFraction >= opts.minInFrameFraction
+        && stats.orfScore >= opts.minORFscore
+        && stats.pValue <= opts.alpha;
+
+    // Group nested starts by their shared stop codon
+    const groups = new Map();
+    starts.forEach(start => {
+        if ((start.stopPos - start.pos) / 3 - 1 < opts.minCodons) return;
+        const key = `${start.frame}|${start.stopPos}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(start);
+    });
+
+    const results = [];
+    groups.forEach(group => {
+        group.sort((a, b) => a.pos - b.pos);
+        const scored = group.map((start, i) => {
+            const stats = scoreORFCoverage(counts, start.pos, start.stopPos);
+            // The stretch this start adds over the next nested start
+            const next = group[i + 1];
+            const extension = next ? scoreORFCoverage(counts, start.pos, next.pos + 3) : null;
+            const extensionSupported = !extension || extension.reads === 0
+                ? !next
+                : extension.inFrameFraction >= opts.minInFrameFraction;
+            return { start, stats, extensionSupported };
+        });
+
+        const called = scored.find(s => passes(s.stats) && s.extensionSupported)
+            || [...scored].reverse().find(s => passes(s.stats));
+
+        scored.forEach(s => {
+            const isCalled = s === called;
+            if (!isCalled && !opts.includeRejected) return;
+            results.push({
+                start: s.start.pos,
+                stopPos: s.start.stopPos,
+                frame: s.start.frame,
+                codon: s.start.codon,
+                isAUG: s.start.isAUG,
+                orfLength: s.start.orfLength,
+                ...s.stats,
+                called: isCalled,
+                alternativeStarts: isCalled ? group.filter(g => g !== s.start).map(g => g.pos) : []
+            });
+        });
+    });
+
+    return results.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Observed translons from called ORFs, shaped like buildTranslons output so the
+ * RDG can show them next to the predictions
+ * @param {string} sequence - RNA sequence
+ * @param {Array} calledORFs - Output of callTranslatedORFs
+ * @param {Object} features - identifyFeatures output (for classification and predicted probabilities)
+ * @param {Object} params - RDG model parameters (geneticCode)
+ * @returns {Array} Observed translons (observedAbundance is density relative to the densest ORF)
+ */
+function buildObservedTranslons(sequence, calledORFs, features, params = DEFAULT_RDG_PARAMS) {
+    const canonicalStartPos = features.canonical.start ? features.canonical.start.pos : null;
+    const uorfStarts = new Set(features.predicted.uorfs.map(u => u.start));
+    const predictedByPos = new Map(features.predicted.startCodons.map(s => [s.pos, s]));
+    const maxDensity = calledORFs.reduce((m, o) => Math.max(m, o.density), 0);
+
+    return calledORFs.filter(o => o.called).map((orf, idx) => {
+        let classification = 'downstream';
+        if (orf.start === canonicalStartPos) classification = 'canonical';
+        else if (uorfStarts.has(orf.start)) classification = 'uORF';
+        else if (canonicalStartPos !== null && orf.start < canonicalStartPos) classification = 'upstream';
+
+        const predicted = predictedByPos.get(orf.start);
+        return {
+            pathId: `O${idx + 1}`,
+            name: `O${idx + 1}`,
+            source: 'observed',
+            startNt: orf.start,
+            endNt: orf.stopPos,
+            stopNt: orf.stopPos,
+            frame: orf.frame,
+            startCodon: orf.codon,
+            isAUG: orf.isAUG,
+            classification,
+            orfLength: orf.orfLength,
+            aaSequence: translateORF(sequence.substring(orf.start, orf.stopPos), params.geneticCode),
+            observedReads: orf.reads,
+            observedDensity: orf.density,
+            observedAbundance: maxDensity > 0 ? orf.density / maxDensity : 0,
+            inFrameFraction: orf.inFrameFraction,
+            codonCoverage: orf.codonCoverage,
+            orfScore: orf.orfScore,
+            pValue: orf.pValue,
+            alternativeStarts: orf.alternativeStarts,
+            predictedProbability: predicted ? predicted.initiationProbability : null
+        };
+    });
+}
+
+// ============================================================================
+// BATCH ANALYSIS
+// ============================================================================
+
+/**
+ * Parse multi-FASTA text into cleaned RNA records
+ * Text without a '>' header is read as a single unnamed sequence.
+ * @param {string} text - FASTA or plain sequence text
+ * @returns {Array} [{ id, description, sequence }]
+ */
+function parseMultiFasta(text) {
+    const records = [];
+    let current = null;
+    const clean = (seq) => seq.toUpperCase().replace(/[^ACGTU]/g, '').replace(/T/g, 'U');
+
+    (text || '').split(/\r?\n/).forEach(line => {
+        if (line.startsWith('>')) {
+            const header = line.substring(1).trim();
+            const space = header.search(/\s/);
+            current = {
+                id: space === -1 ? header : header.substring(0, space),
+                description: space === -1 ? '' : header.substring(space + 1).trim(),
+                raw: []
+            };
+            records.push(current);
+        } else if (line.trim()) {
+            if (!current) {
+                current = { id: 'sequence_1', description: '', raw: [] };
+                records.push(current);
+            }
+            current.raw.push(line.trim());
+        }
+    });
+
+    return records.map((r, idx) => ({
+        id: r.id || `sequence_${idx + 1}`,
+        description: r.description,
+        sequence: clean(r.raw.join(''))
+    }));
+}
+
+/**
+ * Analyse one transcript: features, translons and the per-start flux
+ * @param {Object} record - { id, description, sequence }
+ * @param {Object} options - { params, limit (reported translons, default 5), readthroughStops }
+ * @returns {Object} Row with canonical CDS, uORFs, near-cognate starts and top translons
+ */
+function analyzeTranscript(record, options = {}) {
+    const params = options.params || DEFAULT_RDG_PARAMS;
+    const readthroughStops = options.readthroughStops || [];
+    const sequence = record.sequence || '';
+    const row = { id: record.id, description: record.description || '', length: sequence.length };
+
+    if (sequence.length < 3) {
+        return { ...row, error: 'Sequence too short (min 3 nt required)' };
+    }
+
+    const features = identifyFeatures(sequence, { readthroughStops, params });
+    const starts = features.predicted.startCodons;
+    // Every start is kept so each uORF and the CDS get their flux
+    const translons = buildTranslons(sequence, {
+        features,
+        startCodons: starts,
+        limit: starts.length,
+        readthroughStops,
+        params
+    });
+    const fluxByStart = new Map(translons.map(t => [t.startNt, t.predictedAbundance]));
+
+    const cds = features.canonical.cds;
+    const nearCognate = starts.filter(s => !s.isAUG);
+    const limit = typeof options.limit === 'number' ? options.limit : 5;
+
+    return {
+        ...row,
+        cds: cds ? {
+            start: cds.start,
+            end: cds.end,
+            frame: cds.frame,
+            startCodon: cds.startCodon,
+            aaLength: translateORF(sequence.substring(cds.start, cds.end), params.geneticCode).length,
+            initiationProbability: cds.initiationProbability,
+            flux: fluxByStart.get(cds.start) || 0
+        } : null,
+        uorfs: features.predicted.uorfs.map(u => ({
+            start: u.start,
+            end: u.end,
+            startCodon: u.startCodon,
+            kozakScore: u.kozakScore,
+            flux: fluxByStart.get(u.start) || 0
+        })),
+        augCount: starts.length - nearCognate.length,
+        nearCognateStarts: nearCognate.map(s => ({
+            pos: s.pos,
+            codon: s.codon,
+            frame: s.frame,
+            flux: fluxByStart.get(s.pos) || 0
+        })),
+        translons: translons.slice(0, limit).map(t => ({
+            name: t.name,
+            startNt: t.startNt,
+            endNt: t.endNt,
+            startCodon: t.startCodon,
+            classification: t.classification,
+            flux: t.predictedAbundance
+        }))
+    };
+}
+
+/**
+ * Run identifyFeatures + buildTranslons over every record of a multi-FASTA input
+ * @param {string|Array} input - FASTA text or parsed records
+ * @param {Object} options - analyzeTranscript options plus { onProgress(done, total, row) }
+ * @returns {Object} { rows, summary: { transcripts, withCDS, withUORFs, errors } }
+ */
+function runBatchAnalysis(input, options = {}) {
+    const records = typeof input === 'string' ? parseMultiFasta(input) : (input || []);
+    const rows = records.map((record, idx) => {
+        let row;
+        try {
+            row = analyzeTranscript(record, options);
+        } catch (e) {
+            row = { id: record.id, description: record.description || '', length: (record.sequence || '').length, error: e.message };
+        }
+        if (typeof options.onProgress === 'function') options.onProgress(idx + 1, records.length, row);
+        return row;
+    });
+
+    return { rows, summary: summarizeBatchRows(rows) };
+}
+
+/**
+ * Count transcripts, CDS calls, uORF-containing transcripts and errors in batch rows
+ */
+function summarizeBatchRows(rows) {
+    return {
+        transcripts: rows.length,
+        withCDS: rows.filter(r => r.cds).length,
+        withUORFs: rows.filter(r => r.uorfs && r.uorfs.length > 0).length,
+        errors: rows.filter(r => r.error).length
+    };
+}
+
+// Column order for batch TSV export (positions are 1-based, inclusive)
+const BATCH_TSV_COLUMNS = [
+    'id', 'length', 'cds_start', 'cds_end', 'cds_start_codon', 'cds_aa_length', 'cds_p_init', 'cds_flux',
+    'n_uorfs', 'uorfs', 'n_aug', 'n_near_cognate', 'near_cognate_starts', 'top_translons', 'error'
+];
+
+/**
+ * Format batch results as TSV, one transcript per line
+ * uorfs: start-end:codon:flux; near_cognate_starts: pos:codon:flux; top_translons: start-end:class:flux
+ */
+function batchResultsToTSV(result) {
+    const num = (v, digits = 4) => (typeof v === 'number' ? Number(v.toFixed(digits)) : '');
+    const lines = result.rows.map(r => {
+        const cds = r.cds;
+        const values = {
+            id: r.id,
+            length: r.length,
+            cds_start: cds ? cds.start + 1 : '',
+            cds_end: cds ? cds.end : '',
+            cds_start_codon: cds ? cds.startCodon : '',
+            cds_aa_length: cds ? cds.aaLength : '',
+            cds_p_init: cds ? num(cds.initiationProbability) : '',
+            cds_flux: cds ? num(cds.flux) : '',
+            n_uorfs: r.uorfs ? r.uorfs.length : '',
+            uorfs: (r.uorfs || []).map(u => `${u.start + 1}-${u.end}:${u.startCodon}:${num(u.flux)}`).join(';'),
+            n_aug: r.augCount === undefined ? '' : r.augCount,
+            n_near_cognate: r.nearCognateStarts ? r.nearCognateStarts.length : '',
+            near_cognate_starts: (r.nearCognateStarts || []).map(s => `${s.pos + 1}:${s.codon}:${num(s.flux)}`).join(';'),
+            top_translons: (r.translons || []).map(t => `${t.startNt + 1}-${t.endNt}:${t.classification}:${num(t.flux)}`).join(';'),
+            error: r.error || ''
+        };
+        return BATCH_TSV_COLUMNS.map(c => String(values[c]).replace(/[\t\r\n]+/g, ' ')).join('\t');
+    });
+    return [BATCH_TSV_COLUMNS.join('\t'), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Format batch results as pretty-printed JSON (0-based, half-open positions as in the engine)
+ */
+function batchResultsToJSON(result) {
+    return JSON.stringify(result, null, 2);
+}
+
+// ============================================================================
+// PARAMETER FITTING
+// ============================================================================
+
+// Plausible ranges for the fitted RDG parameters (also used to scale steps)
+const RDG_PARAM_BOUNDS = {
+    baseP: [0.05, 0.99],
+    nearCognatePenalty: [0.01, 1.0],
+    gcBonus: [0, 2],
+    reinitiationBase: [0, 1],
+    lengthL0: [10, 1000],
+    spacingS0: [5, 500]
+};
+
+/**
+ * Build a constructMap ({type: {start, end}}) from assembled regions
+ * @param {Array} regions - Regions from assembleConstruct
+ * @returns {Object} Reporter regions keyed by type
+ */
+function buildConstructMap(regions) {
+    const constructMap = {};
+    (regions || []).forEach(region => {
+        constructMap[region.type] = { start: region.start, end: region.end };
+    });
+    return constructMap;
+}
+
+/**
+ * Prepare a construct for repeated prediction: assemble it if needed and cache
+ * the parameter-independent start codon annotations
+ * @param {Object} construct - {name, sequence + regions or baseSequence + regions, measuredRatio, ...}
+ * @param {Object} params - RDG model parameters used for feature annotation
+ * @returns {Object} Prepared construct for predictLuciferaseRatio
+ */
+function prepareConstructForPrediction(construct, params) {
+    const assembled = construct.sequence
+        ? { sequence: construct.sequence, regions: construct.regions || [] }
+        : assembleConstruct(construct.baseSequence || '', construct.regions || []);
+    const readthroughStops = construct.readthroughStops || [];
+    const features = identifyFeatures(assembled.sequence, { readthroughStops, params });
+
+    // Strip initiation probabilities so buildTranslons recomputes them from the trial params
+    const startCodons = features.predicted.startCodons.map(start => {
+        const { initiationProbability, ...rest } = start;
+        return rest;
+    });
+
+    const ensureStarts = assembled.regions
+        .filter(r => canonicalReporter(r.type))
+        .map(r => r.start);
+
+    return {
+        name: construct.name,
+        sequence: assembled.sequence,
+        constructMap: buildConstructMap(assembled.regions),
+        features,
+        startCodons,
+        ensureStarts,
+        readthroughStops,
+        frameshiftSites: construct.frameshiftSites || [],
+        entrySites: construct.entrySites || entrySitesFromRegions(assembled.regions, params),
+        measuredRatio: construct.measuredRatio,
+        weight: typeof construct.weight === 'number' ? construct.weight : 1
+    };
+}
+
+// Whether a prepared construct carries the FLUC reference reporter
+function hasReferenceReporter(prepared) {
+    return Object.keys(prepared.constructMap).some(t => canonicalReporter(t) === 'FLUC');
+}
+
+/**
+ * Predict the RLUC/FLUC luciferase ratio of a prepared construct
+ * Sums product abundances carrying each reporter (buildTranslons + predictProteinProducts).
+ * Constructs without an FLUC region have no reference reporter: ratio is null and
+ * missingReference names the absent reporter.
+ *
+ * @param {Object} prepared - Output of prepareConstructForPrediction
+ * @param {Object} params - RDG model parameters
+ * @param {Object} options - { limit: max translons (default 50), epsilon: pseudo-abundance }
+ * @returns {Object} { rluc, fluc, ratio, missingReference }
+ */
+function predictLuciferaseRatio(prepared, params = DEFAULT_RDG_PARAMS, options = {}) {
+    const epsilon = typeof options.epsilon === 'number' ? options.epsilon : 1e-4;
+    const translons = buildTranslons(prepared.sequence, {
+        features: prepared.features,
+        startCodons: prepared.startCodons,
+        limit: typeof options.limit === 'number' ? options.limit : 50,
+        ensureStarts: prepared.ensureStarts,
+        readthroughStops: prepared.readthroughStops,
+        frameshiftSites: prepared.frameshiftSites,
+        entrySites: prepared.entrySites,
+        params
+    });
+    const products = predictProteinProducts(translons, prepared.constructMap, { ptm: false });
+
+    let rluc = 0;
+    let fluc = 0;
+    products.forEach(p => {
+        if (p.reporters.includes('RLUC')) rluc += p.abundance;
+        if (p.reporters.includes('FLUC')) fluc += p.abundance;
+    });
+
+    if (!hasReferenceReporter(prepared)) {
+        return { rluc, fluc, ratio: null, missingReference: 'FLUC' };
+    }
+    return { rluc, fluc, ratio: (rluc + epsilon) / (fluc + epsilon), missingReference: null };
+}
+
+/**
+ * Minimise a function with the Nelder-Mead simplex method
+ * @param {Function} f - Objective taking a coordinate array
+ * @param {Array} x0 - Starting point
+ * @param {Object} options - { step, maxIterations, tolerance }
+ * @returns {Object} { x, value, iterations, converged }
+ */
+function nelderMead(f, x0, options = {}) {
+    const n = x0.length;
+    const step = options.step || 0.1;
+    const maxIterations = options.maxIterations || 200;
+    const tolerance = options.tolerance || 1e-6;
+
+    let simplex = [x0.slice()];
+    for (let i = 0; i < n; i++) {
+        const x = x0.slice();
+        x[i] = x[i] + step <= 1 ? x[i] + step : x[i] - step;
+        simplex.push(x);
+    }
+    let values = simplex.map(f);
+
+    const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+    let iterations = 0;
+    let converged = false;
+    while (iterations < maxIterations) {
+        iterations++;
+
+        const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+        simplex = order.map(i => simplex[i]);
+        values = order.map(i => values[i]);
+
+        if (Math.abs(values[n] - values[0]) <= tolerance * (Math.abs(values[0]) + tolerance)) {
+            converged = true;
+            break;
+        }
+
+        const centroid = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+        }
+
+        const reflected = combine(centroid, simplex[n], -1);
+        const fr = f(reflected);
+
+        if (fr < values[0]) {
+            const expanded = combine(centroid, simplex[n], -2);
+            const fe = f(expanded);
+            if (fe < fr) {
+                simplex[n] = expanded;
+                values[n] = fe;
+            } else {
+                simplex[n] = reflected;
+                values[n] = fr;
+            }
+        } else if (fr < values[n - 1]) {
+            simplex[n] = reflected;
+            values[n] = fr;
+        } else {
+            const contracted = combine(centroid, simplex[n], 0.5);
+            const fc = f(contracted);
+            if (fc < values[n]) {
+                simplex[n] = contracted;
+                values[n] = fc;
+            } else {
+                // Shrink towards the best vertex
+                for (let i = 1; i <= n; i++) {
+                    simplex[i] = combine(simplex[0], simplex[i], 0.5);
+                    values[i] = f(simplex[i]);
+                }
+            }
+        }
+    }
+
+    const best = values.indexOf(Math.min(...values));
+    return { x: simplex[best], value: values[best], iterations, converged };
+}
+
+/**
+ * Fit RDG parameters to measured RLUC/FLUC ratios
+ * Minimises the weighted squared error of log ratios (or linear ratios) over a
+ * panel of constructs with Nelder-Mead in bound-scaled coordinates, then reports
+ * residuals and local per-parameter sensitivity at the optimum.
+ *
+ * @param {Array} constructs - [{name, sequence + regions (assembled) or baseSequence + regions,
+ *                              measuredRatio, readthroughStops?, frameshiftSites?, entrySites?, weight?}]
+ *                              IRES regions become internal entry sites unless entrySites is given;
+ *                              every construct needs an FLUC region (throws otherwise)
+ * @param {Object} options - { params, fitParams, bounds, errorScale: 'log'|'linear',
+ *                             maxIterations, tolerance, limit }
+ * @returns {Object} { params, fitted, initial, loss, rmse, iterations, converged, residuals, sensitivity }
+ */
+function fitRDGParams(constructs, options = {}) {
+    const startParams = { ...DEFAULT_RDG_PARAMS, ...(options.params || {}) };
+    const bounds = { ...RDG_PARAM_BOUNDS, ...(options.bounds || {}) };
+    const fitParams = options.fitParams || Object.keys(RDG_PARAM_BOUNDS);
+    const logScale = options.errorScale !== 'linear';
+    const predictOptions = { limit: options.limit };
+
+    const prepared = constructs
+        .filter(c => typeof c.measuredRatio === 'number' && c.measuredRatio > 0)
+        .map(c => prepareConstructForPrediction(c, startParams));
+    if (prepared.length === 0) {
+        throw new Error('fitRDGParams needs at least one construct with a positive measuredRatio');
+    }
+    const unreferenced = prepared.filter(c => !hasReferenceReporter(c));
+    if (unreferenced.length > 0) {
+        throw new Error(`fitRDGParams needs an FLUC reference reporter in every construct (missing in ${unreferenced.map(c => c.name || 'unnamed').join(', ')})`);
+    }
+
+    // Optimise in [0, 1] per parameter, mapped onto its bounds
+    const toUnit = (name, value) => (value - bounds[name][0]) / (bounds[name][1] - bounds[name][0]);
+    const fromUnit = (name, u) => bounds[name][0] + Math.max(0, Math.min(1, u)) * (bounds[name][1] - bounds[name][0]);
+    const paramsFromUnit = (x) => {
+        const params = { ...startParams };
+        fitParams.forEach((name, i) => { params[name] = fromUnit(name, x[i]); });
+        return params;
+    };
+
+    const transform = (r) => (logScale ? Math.log(r) : r);
+    const evaluate = (params) => prepared.map(c => {
+        const predicted = predictLuciferaseRatio(c, params, predictOptions).ratio;
+        return {
+            name: c.name,
+            measured: c.measuredRatio,
+            predicted,
+            residual: transform(predicted) - transform(c.measuredRatio),
+            weight: c.weight
+        };
+    });
+    const lossOf = (rows) => rows.reduce((sum, r) => sum + r.weight * r.residual * r.residual, 0);
+    const objective = (x) => lossOf(evaluate(paramsFromUnit(x)));
+
+    const x0 = fitParams.map(name => Math.max(0, Math.min(1, toUnit(name, startParams[name]))));
+    const initialLoss = objective(x0);
+    const result = nelderMead(objective, x0, {
+        maxIterations: options.maxIterations || 300,
+        tolerance: options.tolerance || 1e-6
+    });
+
+    const fittedParams = paramsFromUnit(result.x);
+    const residuals = evaluate(fittedParams);
+    const finalLoss = lossOf(residuals);
+    const dof = Math.max(1, prepared.length - fitParams.length);
+    const sigma2 = finalLoss / dof;
+
+    // Local sensitivity: central differences of the loss and of each construct's (log) ratio
+    const sensitivity = fitParams.map((name, i) => {
+        const h = 0.02;
+        const xPlus = result.x.slice();
+        const xMinus = result.x.slice();
+        xPlus[i] = Math.min(1, result.x[i] + h);
+        xMinus[i] = Math.max(0, result.x[i] - h);
+        const span = fromUnit(name, xPlus[i]) - fromUnit(name, xMinus[i]);
+
+        const rowsPlus = evaluate(paramsFromUnit(xPlus));
+        const rowsMinus = evaluate(paramsFromUnit(xMinus));
+        const lossPlus = lossOf(rowsPlus);
+        const lossMinus = lossOf(rowsMinus);
+
+        const value = fittedParams[name];
+        const gradient = span > 0 ? (lossPlus - lossMinus) / span : 0;
+        const curvature = span > 0 ? (lossPlus - 2 * finalLoss + lossMinus) / Math.pow(span / 2, 2) : 0;
+        const ratioSlopes = rowsPlus.map((row, k) => span > 0
+            ? (Math.log(row.predicted) - Math.log(rowsMinus[k].predicted)) / span
+            : 0);
+
+        return {
+            param: name,
+            value,
+            gradient,
+            curvature,
+            // d log(ratio) / d log(param), averaged over constructs
+            elasticity: ratioSlopes.reduce((sum, s) => sum + Math.abs(s * value), 0) / ratioSlopes.length,
+            standardError: curvature > 0 ? Math.sqrt(2 * sigma2 / curvature) : null,
+            atBound: result.x[i] <= 1e-3 || result.x[i] >= 1 - 1e-3
+        };
+    });
+
+    const fitted = {};
+    const initial = {};
+    fitParams.forEach(name => {
+        fitted[name] = fittedParams[name];
+        initial[name] = startParams[name];
+    });
+
+    return {
+        params: fittedParams,
+        fitted,
+        initial,
+        loss: { initial: initialLoss, final: finalLoss },
+        rmse: Math.sqrt(finalLoss / prepared.reduce((sum, c) => sum + c.weight, 0)),
+        errorScale: logScale ? 'log' : 'linear',
+        iterations: result.iterations,
+        converged: result.converged,
+        residuals,
+        sensitivity
+    };
+}
+
+// ============================================================================
+// SENSITIVITY ANALYSIS
+// ============================================================================
+
+const DEFAULT_SENSITIVITY_OPTIONS = {
+    paramNames: null,        // Defaults to the numeric RDG_PARAM_BOUNDS parameters
+    perturbation: 0.2,       // Relative range around the current value (±20%), clipped to bounds
+    sweepPoints: 5,          // One-at-a-time sweep points across the range
+    morrisTrajectories: 6,   // Morris elementary-effect trajectories (0 to skip); cost = r * (k + 1) evaluations
+    morrisLevels: 4,
+    sobolSamples: 16,        // Saltelli base samples (0 to skip); cost = N * (k + 2) evaluations
+    seed: 1,
+    limit: 12                // Translons reported (as in buildTranslons)
+};
+
+/**
+ * Global sensitivity of translon abundances to the RDG parameters
+ * Perturbs each parameter around its current value and re-runs buildTranslons
+ * (computeTranslonFlux), returning one-at-a-time sweeps, Morris elementary
+ * effects (mu*, sigma) and Sobol first-order/total indices for every reported
+ * translon's predictedAbundance.
+ *
+ * @param {string} sequence - mRNA sequence
+ * @param {Object} options - DEFAULT_SENSITIVITY_OPTIONS plus { params, features, startCodons,
+ *                           ensureStarts, readthroughStops, frameshiftSites, entrySites, target (startNt) }
+ * @returns {Object} { parameters, ranges, translons, oneAtATime, morris, sobol, tornado, evaluations }
+ */
+function analyzeSensitivity(sequence, options = {}) {
+    const run = createSensitivityRun(sequence, options);
+    for (let i = 0; i < run.total; i++) run.evaluate(i);
+    return run.finish();
+}
+
+/**
+ * analyzeSensitivity in chunks of model runs between event-loop turns (runInChunks)
+ * @param {string} sequence - mRNA sequence
+ * @param {Object} options - analyzeSensitivity options plus chunkSize, onProgress(done, total) and cancelled
+ * @returns {Promise<Object|null>} The analyzeSensitivity result, or null when cancelled
+ */
+function analyzeSensitivityAsync(sequence, options = {}) {
+    let run;
+    try {
+        run = createSensitivityRun(sequence, options);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    return runInChunks(run.total, i => run.evaluate(i), options)
+        .then(completed => (completed ? run.finish() : null));
+}
+
+// Sensitivity design: every parameter set is drawn up front (in the seeded order), evaluate(i)
+// runs the model on set i and finish() derives the sweeps and indices from the outputs
+function createSensitivityRun(sequence, options) {
+    const opts = { ...DEFAULT_SENSITIVITY_OPTIONS, ...options };
+    const baseParams = { ...DEFAULT_RDG_PARAMS, ...(opts.params || {}) };
+    const paramNames = (opts.paramNames || Object.keys(RDG_PARAM_BOUNDS))
+        .filter(name => typeof baseParams[name] === 'number');
+    const readthroughStops = opts.readthroughStops || [];
+    const features = opts.features || identifyFeatures(sequence, { readthroughStops, params: baseParams });
+
+    // Start annotations without cached probabilities so each run recomputes them
+    const startCodons = (opts.startCodons || features.predicted.startCodons).map(start => {
+        const { initiationProbability, ...rest } = start;
+        return rest;
+    });
+
+    const baseline = buildTranslons(sequence, {
+        features,
+        startCodons,
+        limit: opts.limit,
+        ensureStarts: opts.ensureStarts || [],
+        readthroughStops,
+        frameshiftSites: opts.frameshiftSites || [],
+        entrySites: opts.entrySites || [],
+        params: baseParams
+    });
+    const tracked = baseline.map(t => t.startNt);
+    const baseAbundances = baseline.map(t => t.predictedAbundance);
+
+    // Every run is scaled by the strongest output at the current parameters, so the
+    // indices measure absolute changes rather than changes relative to each run's top
+    const reference = baseline.length && baseline[0].elongation ? baseline[0].elongation.outputFraction : 0;
+
+    // Perturbation range per parameter
+    const ranges = {};
+    paramNames.forEach(name => {
+        const value = baseParams[name];
+        const bounds = RDG_PARAM_BOUNDS[name] || [-Infinity, Infinity];
+        const delta = Math.abs(value) * opts.perturbation || opts.perturbation;
+        ranges[name] = [Math.max(bounds[0], value - delta), Math.min(bounds[1], value + delta)];
+    });
+    const valueAt = (name, u) => ranges[name][0] + u * (ranges[name][1] - ranges[name][0]);
+    const paramsAt = (unit) => {
+        const params = { ...baseParams };
+        paramNames.forEach((name, i) => { params[name] = valueAt(name, unit[i]); });
+        return params;
+    };
+
+    // Parameter sets to evaluate; outputs[i] holds the abundances for jobs[i]
+    const jobs = [];
+    const outputs = [];
+    const addJob = (params) => jobs.push(params) - 1;
+
+    // One-at-a-time sweeps
+    const points = Math.max(2, opts.sweepPoints);
+    const sweepPlan = paramNames.map(name => {
+        const sweep = [];
+        for (let i = 0; i < points; i++) {
+            const value = valueAt(name, i / (points - 1));
+            sweep.push({ value, job: addJob({ ...baseParams, [name]: value }) });
+        }
+        return sweep;
+    });
+
+    const rand = createSeededRandom(opts.seed);
+    const k = paramNames.length;
+
+    // Morris trajectories on a p-level grid: a start point, then one step per parameter
+    const levels = Math.max(2, opts.morrisLevels);
+    const morrisStep = levels / (2 * (levels - 1));
+    const morrisPlan = [];
+    if (opts.morrisTrajectories > 0 && k > 0) {
+        for (let r = 0; r < opts.morrisTrajectories; r++) {
+            const x = paramNames.map(() => Math.floor(rand() * (levels - (levels / 2))) / (levels - 1));
+            const trajectory = { start: addJob(paramsAt(x)), steps: [] };
+            const order = paramNames.map((_, i) => i);
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(rand() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            order.forEach(i => {
+                const up = x[i] + morrisStep <= 1;
+                x[i] = up ? x[i] + morrisStep : x[i] - morrisStep;
+                trajectory.steps.push({ param: i, up, job: addJob(paramsAt(x)) });
+            });
+            morrisPlan.push(trajectory);
+        }
+    }
+
+    // Saltelli sampling: matrices A and B plus A with column i taken from B
+    let sobolPlan = null;
+    if (opts.sobolSamples > 0 && k > 0) {
+        const n = opts.sobolSamples;
+        const A = [];
+        const B = [];
+        for (let j = 0; j < n; j++) {
+            A.push(paramNames.map(() => rand()));
+            B.push(paramNames.map(() => rand()));
+        }
+        sobolPlan = {
+            n,
+            A: A.map(row => addJob(paramsAt(row))),
+            B: B.map(row => addJob(paramsAt(row))),
+            AB: paramNames.map((_, i) => A.map((row, j) => {
+                const mixed = row.slice();
+                mixed[i] = B[j][i];
+                return addJob(paramsAt(mixed));
+            }))
+        };
+    }
+
+    const evaluate = (index) => {
+        const translons = buildTranslons(sequence, {
+            features,
+            startCodons,
+            limit: tracked.length,
+            ensureStarts: tracked,
+            readthroughStops,
+            frameshiftSites: opts.frameshiftSites || [],
+            entrySites: opts.entrySites || [],
+            params: jobs[index],
+            abundanceReference: reference
+        });
+        const byStart = new Map(translons.map(t => [t.startNt, t.predictedAbundance]));
+        outputs[index] = tracked.map(pos => byStart.get(pos) || 0);
+    };
+
+    const finish = () => {
+        const oneAtATime = paramNames.map((name, p) => {
+            const sweep = sweepPlan[p].map(point => {
+                const abundances = outputs[point.job];
+                return { value: point.value, abundances, delta: abundances.map((a, t) => a - baseAbundances[t]) };
+            });
+            const low = sweep[0];
+            const high = sweep[sweep.length - 1];
+            return {
+                param: name,
+                value: baseParams[name],
+                range: ranges[name],
+                sweep,
+                deltaLow: low.delta,
+                deltaHigh: high.delta,
+                maxAbsDelta: Math.max(...sweep.map(s => Math.max(...s.delta.map(Math.abs))))
+            };
+        });
+
+        // Morris elementary effects (effects per full range)
+        let morris = null;
+        if (morrisPlan.length) {
+            const effects = paramNames.map(() => tracked.map(() => []));
+            morrisPlan.forEach(trajectory => {
+                let current = outputs[trajectory.start];
+                trajectory.steps.forEach(({ param, up, job }) => {
+                    const next = outputs[job];
+                    next.forEach((v, t) => {
+                        effects[param][t].push((up ? v - current[t] : current[t] - v) / morrisStep);
+                    });
+                    current = next;
+                });
+            });
+            morris = paramNames.map((name, i) => {
+                const perTranslon = effects[i].map(ee => {
+                    const mu = ee.reduce((s, v) => s + v, 0) / ee.length;
+                    const muStar = ee.reduce((s, v) => s + Math.abs(v), 0) / ee.length;
+                    const sigma = Math.sqrt(ee.reduce((s, v) => s + (v - mu) * (v - mu), 0) / Math.max(1, ee.length - 1));
+                    return { mu, muStar, sigma };
+                });
+                return {
+                    param: name,
+                    perTranslon,
+                    muStar: perTranslon.reduce((s, e) => s + e.muStar, 0) / Math.max(1, perTranslon.length)
+                };
+            });
+        }
+
+        // Sobol indices (Saltelli 2010 first-order, Jansen total-effect)
+        let sobol = null;
+        if (sobolPlan) {
+            const n = sobolPlan.n;
+            const fA = sobolPlan.A.map(job => outputs[job]);
+            const fB = sobolPlan.B.map(job => outputs[job]);
+            const variance = tracked.map((_, t) => {
+                const all = fA.map(f => f[t]).concat(fB.map(f => f[t]));
+                const mean = all.reduce((s, v) => s + v, 0) / all.length;
+                return all.reduce((s, v) => s + (v - mean) * (v - mean), 0) / all.length;
+            });
+
+            sobol = paramNames.map((name, i) => {
+                const fAB = sobolPlan.AB[i].map(job => outputs[job]);
+                const perTranslon = tracked.map((_, t) => {
+                    if (variance[t] <= 1e-12) return { first: 0, total: 0 };
+                    let first = 0;
+                    let total = 0;
+                    for (let j = 0; j < n; j++) {
+                        first += fB[j][t] * (fAB[j][t] - fA[j][t]);
+                        total += Math.pow(fA[j][t] - fAB[j][t], 2);
+                    }
+                    return { first: first / n / variance[t], total: total / (2 * n) / variance[t] };
+                });
+                return {
+                    param: name,
+                    perTranslon,
+                    first: perTranslon.reduce((s, e) => s + e.first, 0) / Math.max(1, perTranslon.length),
+                    total: perTranslon.reduce((s, e) => s + e.total, 0) / Math.max(1, perTranslon.length)
+                };
+            });
+        }
+
+        const result = {
+            parameters: paramNames,
+            baseParams,
+            ranges,
+            translons: baseline.map(t => ({
+                startNt: t.startNt,
+                endNt: t.endNt,
+                frame: t.frame,
+                startCodon: t.startCodon,
+                predictedAbundance: t.predictedAbundance
+            })),
+            oneAtATime,
+            morris,
+            sobol,
+            evaluations: jobs.length
+        };
+        result.tornado = getTornadoData(result, opts.target);
+        return result;
+    };
+
+    return { total: jobs.length, evaluate, finish };
+}
+
+/**
+ * Tornado chart bars for one translon (or the summed |delta| over all translons)
+ * @param {Object} sensitivity - Output of analyzeSensitivity
+ * @param {number|null} target - Translon startNt (null: all translons)
+ * @returns {Object} { target, label, baseline, bars: [{param, lowValue, highValue, low, high, swing}] }
+ */
+function getTornadoData(sensitivity, target = null) {
+    const index = target === null || target === undefined
+        ? -1
+        : sensitivity.translons.findIndex(t => t.startNt === target);
+    const pick = (deltas) => (index >= 0
+        ? deltas[index]
+        : deltas.reduce((s, d) => s + d, 0));
+
+    const bars = sensitivity.oneAtATime.map(entry => {
+        const low = pick(entry.deltaLow);
+        const high = pick(entry.deltaHigh);
+        return {
+            param: entry.param,
+            value: entry.value,
+            lowValue: entry.range[0],
+            highValue: entry.range[1],
+            low,
+            high,
+            swing: Math.abs(high - low)
+        };
+    }).sort((a, b) => b.swing - a.swing);
+
+    const translon = index >= 0 ? sensitivity.translons[index] : null;
+    return {
+        target: translon ? translon.startNt : null,
+        label: translon ? `${translon.startCodon || 'start'} @ ${translon.startNt}` : 'All translons (net)',
+        baseline: translon
+            ? translon.predictedAbundance
+            : sensitivity.translons.reduce((s, t) => s + t.predictedAbundance, 0),
+        bars
+    };
+}
+
+// ============================================================================
+// UNCERTAINTY PROPAGATION
+// ============================================================================
+
+// Default options for propagateAbundanceUncertainty
+const DEFAULT_UNCERTAINTY_OPTIONS = {
+    distributions: null,     // {param: distribution}; null = uniform ±spread on the RDG_PARAM_BOUNDS parameters
+    spread: 0.2,             // Relative half-width of the default uniform distributions
+    samples: 100,            // Parameter draws pushed through the flux model
+    level: 0.9,              // Mass of the equal-tailed credible interval
+    seed: 1
+};
+
+// Parameters whose value changes cached start annotations (re-scored per draw)
+const START_ANNOTATION_PARAMS = {
+    kozakPWM: 'kozakScore',
+    structureModel: 'structure',
+    structureWindow: 'structure'
+};
+
+/**
+ * Default parameter distributions: uniform ±spread around the current value of
+ * each bounded parameter, clipped to RDG_PARAM_BOUNDS
+ * @param {Object} params - RDG params supplying the centre values
+ * @param {number} spread - Relative half-width (0.2 = ±20%)
+ * @returns {Object} {param: {type: 'uniform', min, max}}
+ */
+function defaultParamDistributions(params = DEFAULT_RDG_PARAMS, spread = DEFAULT_UNCERTAINTY_OPTIONS.spread) {
+    const distributions = {};
+    Object.keys(RDG_PARAM_BOUNDS).forEach(name => {
+        const value = params[name];
+        if (typeof value !== 'number') return;
+        const delta = Math.abs(value) * spread || spread;
+        distributions[name] = {
+            type: 'uniform',
+            min: Math.max(RDG_PARAM_BOUNDS[name][0], value - delta),
+            max: Math.min(RDG_PARAM_BOUNDS[name][1], value + delta)
+        };
+    });
+    return distributions;
+}
+
+// Standard normal deviate (Box-Muller) from a uniform generator
+function sampleStandardNormal(random) {
+    const u = Math.max(random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Draw one value from a parameter distribution
+ * Supported: {type: 'normal', mean, sd}, {type: 'lognormal', median, sdLog},
+ * {type: 'uniform', min, max} and {type: 'choice', values, weights}; any other
+ * value is used as a fixed setting. A missing mean or median is the current
+ * value. Numeric draws are clipped to the parameter's RDG_PARAM_BOUNDS and to
+ * the distribution's own min/max when given.
+ *
+ * @param {Object|*} distribution - Distribution spec or fixed value
+ * @param {*} current - Current parameter value
+ * @param {Array} bounds - Optional [min, max]
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {*} Sampled value
+ */
+function sampleDistribution(distribution, current, bounds, random) {
+    if (!distribution || typeof distribution !== 'object' || !distribution.type) return distribution;
+
+    let value;
+    switch (distribution.type) {
+        case 'normal':
+            value = (typeof distribution.mean === 'number' ? distribution.mean : current)
+                + (distribution.sd || 0) * sampleStandardNormal(random);
+            break;
+        case 'lognormal':
+            value = (typeof distribution.median === 'number' ? distribution.median : current)
+                * Math.exp((distribution.sdLog || 0) * sampleStandardNormal(random));
+            break;
+        case 'uniform':
+            value = distribution.min + random() * (distribution.max - distribution.min);
+            break;
+        case 'choice': {
+            const values = distribution.values || [];
+            const weights = distribution.weights || values.map(() => 1);
+            const total = weights.reduce((sum, w) => sum + w, 0);
+            let r = random() * total;
+            for (let i = 0; i < values.length; i++) {
+                r -= weights[i];
+                if (r < 0) return values[i];
+            }
+            return values.length > 0 ? values[values.length - 1] : current;
+        }
+        default:
+            throw new Error(`Unknown distribution type: ${distribution.type}`);
+    }
+
+    const lower = Math.max(bounds ? bounds[0] : -Infinity, typeof distribution.min === 'number' ? distribution.min : -Infinity);
+    const upper = Math.min(bounds ? bounds[1] : Infinity, typeof distribution.max === 'number' ? distribution.max : Infinity);
+    return Math.max(lower, Math.min(upper, value));
+}
+
+/**
+ * Draw one RDG parameter set
+ * @param {Object} params - Current RDG params
+ * @param {Object} distributions - {param: distribution} (see sampleDistribution)
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Object} Parameter set with each distributed entry replaced by a draw
+ */
+function sampleRDGParams(params, distributions, random = Math.random) {
+    const draw = { ...params };
+    Object.entries(distributions || {}).forEach(([name, distribution]) => {
+        draw[name] = sampleDistribution(distribution, params[name], RDG_PARAM_BOUNDS[name], random);
+    });
+    return draw;
+}
+
+/**
+ * Mean, standard deviation and equal-tailed credible interval of sampled values
+ * @param {Array} draws - Sampled abundances
+ * @param {number} level - Interval mass (default 0.9)
+ * @returns {Object} { mean, sd, lower, upper, level, samples }
+ */
+function summarizeAbundanceDraws(draws, level = DEFAULT_UNCERTAINTY_OPTIONS.level) {
+    const n = draws.length;
+    if (n === 0) return { mean: 0, sd: 0, lower: 0, upper: 0, level, samples: 0 };
+
+    const mean = draws.reduce((sum, v) => sum + v, 0) / n;
+    const sd = n > 1 ? Math.sqrt(draws.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1)) : 0;
+    const sorted = [...draws].sort((a, b) => a - b);
+    const quantile = (q) => {
+        const h = (n - 1) * q;
+        const lo = Math.floor(h);
+        const hi = Math.min(n - 1, lo + 1);
+        return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+    };
+    const tail = (1 - level) / 2;
+
+    return { mean, sd, lower: quantile(tail), upper: quantile(1 - tail), level, samples: n };
+}
+
+/**
+ * Run count steps a chunk at a time, yielding to the event loop between chunks
+ * so pages stay responsive during long sampling runs
+ * @param {number} count - Number of steps
+ * @param {Function} step - Called with the step index
+ * @param {Object} options - { chunkSize (default 10), onProgress(done, count), cancelled() → true to stop }
+ * @returns {Promise<boolean>} Resolves true when all steps ran, false when cancelled
+ */
+function runInChunks(count, step, options = {}) {
+    const chunkSize = Math.max(1, options.chunkSize || 10);
+    let done = 0;
+    return new Promise((resolve, reject) => {
+        const next = () => {
+            if (options.cancelled && options.cancelled()) {
+                resolve(false);
+                return;
+            }
+            try {
+                const end = Math.min(count, done + chunkSize);
+                for (; done < end; done++) step(done);
+                if (options.onProgress) options.onProgress(done, count);
+            } catch (e) {
+                reject(e);
+                return;
+            }
+            if (done < count) setTimeout(next, 0);
+            else resolve(true);
+        };
+        next();
+    });
+}
+
+// Shared state of a sampling run: draw() adds one parameter draw, finish() annotates the translons
+function createUncertaintyRun(sequence, translons, options) {
+    const opts = { ...DEFAULT_UNCERTAINTY_OPTIONS, ...options };
+    const baseParams = { ...DEFAULT_RDG_PARAMS, ...(opts.params || {}) };
+    const distributions = opts.distributions || defaultParamDistributions(baseParams, opts.spread);
+    const readthroughStops = opts.readthroughStops || [];
+    const features = opts.features || identifyFeatures(sequence, { readthroughStops, params: baseParams });
+
+    // Start annotations without values that depend on sampled parameters
+    const stale = ['initiationProbability', ...Object.keys(distributions)
+        .filter(name => START_ANNOTATION_PARAMS[name])
+        .map(name => START_ANNOTATION_PARAMS[name])];
+    const startCodons = (opts.startCodons || features.predicted.startCodons).map(start => {
+        const copy = { ...start };
+        stale.forEach(key => { delete copy[key]; });
+        return copy;
+    });
+    const buildOptions = {
+        features,
+        startCodons,
+        readthroughStops,
+        frameshiftSites: opts.frameshiftSites || [],
+        entrySites: opts.entrySites || []
+    };
+
+    // Every draw is scaled by the strongest output at the current parameters, so a
+    // translon's interval shows how its absolute output moves between draws
+    let reference = opts.reference;
+    if (!(reference > 0)) {
+        const top = buildTranslons(sequence, { ...buildOptions, limit: 1, params: baseParams })[0];
+        reference = top && top.elongation ? top.elongation.outputFraction : 0;
+    }
+
+    const tracked = translons.map(t => t.startNt);
+    const samplesByStart = new Map(tracked.map(pos => [pos, []]));
+    const random = createSeededRandom(opts.seed);
+    const draws = [];
+
+    return {
+        total: Math.max(1, opts.samples),
+        draw() {
+            const params = sampleRDGParams(baseParams, distributions, random);
+            draws.push(params);
+            const sampled = buildTranslons(sequence, {
+                ...buildOptions,
+                limit: tracked.length,
+                ensureStarts: tracked,
+                params,
+                abundanceReference: reference
+            });
+            const byStart = new Map(sampled.map(t => [t.startNt, t.predictedAbundance]));
+            samplesByStart.forEach((values, pos) => values.push(byStart.get(pos) || 0));
+        },
+        finish() {
+            translons.forEach(translon => {
+                const values = samplesByStart.get(translon.startNt);
+                translon.abundanceSamples = values;
+                translon.abundanceInterval = summarizeAbundanceDraws(values, opts.level);
+            });
+            return { translons, draws, samples: draws.length, level: opts.level, reference };
+        }
+    };
+}
+
+/**
+ * Propagate parameter uncertainty through the flux model by sampling
+ * Each draw from the parameter distributions re-runs buildTranslons on the same
+ * starts; every translon gets its sampled abundances (abundanceSamples, in draw
+ * order so sums across translons stay paired) and abundanceInterval (mean and
+ * credible interval). predictProteinProducts carries both onto products.
+ * Abundances are relative to a fixed reference, the strongest translon's output at
+ * the current parameters, so draws can exceed 1 and the top translon has an interval too.
+ *
+ * @param {string} sequence - RNA sequence (AUGC)
+ * @param {Array} translons - Translons to annotate (from buildTranslons); modified in place
+ * @param {Object} options - DEFAULT_UNCERTAINTY_OPTIONS plus the buildTranslons inputs
+ *                           (features, startCodons, readthroughStops, frameshiftSites, entrySites, params)
+ *                           and reference (output fraction scaled to 1; default from params)
+ * @returns {Object} { translons, draws (parameter sets), samples, level, reference }
+ */
+function propagateAbundanceUncertainty(sequence, translons, options = {}) {
+    const run = createUncertaintyRun(sequence, translons, options);
+    for (let i = 0; i < run.total; i++) run.draw();
+    return run.finish();
+}
+
+/**
+ * propagateAbundanceUncertainty in chunks of draws between event-loop turns (runInChunks)
+ * @param {string} sequence - RNA sequence (AUGC)
+ * @param {Array} translons - Translons to annotate; modified in place once all draws ran
+ * @param {Object} options - propagateAbundanceUncertainty options plus chunkSize, onProgress and cancelled
+ * @returns {Promise<Object|null>} The propagateAbundanceUncertainty result, or null when cancelled
+ */
+function propagateAbundanceUncertaintyAsync(sequence, translons, options = {}) {
+    let run;
+    try {
+        run = createUncertaintyRun(sequence, translons, options);
+    } catch (e) {
+        return Promise.reject(e);
+    }
+    return runInChunks(run.total, () => run.draw(), options)
+        .then(completed => (completed ? run.finish() : null));
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -876,45 +4475,183 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         RDG_CONSTANTS,
         DEFAULT_RDG_PARAMS,
+        getGeneticCode,
         findStartCodons,
         findStopCodons,
         identifyFeatures,
+        parseMultiFasta,
+        analyzeTranscript,
+        runBatchAnalysis,
+        summarizeBatchRows,
+        batchResultsToTSV,
+        batchResultsToJSON,
+        DEFAULT_ORF_CALLING_OPTIONS,
+        scoreORFCoverage,
+        callTranslatedORFs,
+        buildObservedTranslons,
         findNextStopInFrame,
         applyFrameshift,
+        traceRecodedProducts,
+        resolveKozakPWM,
         calculateKozakScore,
         calculateDownstreamGC,
+        RNA_STACK_ENERGIES,
+        RNA_LOOP_ENERGIES,
+        foldRNA,
+        estimateStartStructure,
+        calculateScanningPassProbability,
+        findScanningBarriers,
+        getStartCodonEfficiency,
+        calculateStructureFactor,
+        calculateTISUScore,
+        calculateCapProximityFactor,
         calculateInitiationProbability,
         calculateReinitiationProbability,
         calculateDistanceWeight,
+        normalizeEntrySites,
+        entrySitesFromRegions,
         calculateProteinMW,
+        AMINO_ACID_PROPERTIES,
+        translateORF,
+        calculateProteinProperties,
+        calculateProteinMWFromSequence,
         translateSequence,
         computeTranslonFlux,
+        calculateTAIWeights,
+        getCodonResidenceTimes,
+        computeElongationProfile,
+        computeSteadyStateElongation,
+        findElongationStalls,
+        DEFAULT_SIMULATION_OPTIONS,
+        createSeededRandom,
+        simulateRibosomes,
+        compareQueuingModel,
         assembleConstruct,
         REPORTER_PROTEINS,
+        registerReporter,
+        REPORTER_REGISTRATION_ERRORS,
+        getReporterInfo,
+        listReporters,
+        canonicalReporter,
+        reporterEpitopes,
+        buildEpitopeSites,
+        detectEpitopes,
+        listAntibodies,
+        productsForAntibodies,
+        splitProductsByChannel,
+        DEFAULT_PTM_RULES,
+        predictSignalPeptide,
+        annotatePostTranslational,
         predictProteinProducts,
-        buildTranslons
+        buildTranslons,
+        RDG_PARAM_BOUNDS,
+        buildConstructMap,
+        prepareConstructForPrediction,
+        predictLuciferaseRatio,
+        fitRDGParams,
+        DEFAULT_SENSITIVITY_OPTIONS,
+        analyzeSensitivity,
+        analyzeSensitivityAsync,
+        getTornadoData,
+        DEFAULT_UNCERTAINTY_OPTIONS,
+        defaultParamDistributions,
+        sampleDistribution,
+        sampleRDGParams,
+        summarizeAbundanceDraws,
+        propagateAbundanceUncertainty,
+        propagateAbundanceUncertaintyAsync,
+        runInChunks
     };
 } else {
     // Browser - attach to window
     window.RDGEngine = {
         RDG_CONSTANTS,
         DEFAULT_RDG_PARAMS,
+        getGeneticCode,
         findStartCodons,
         findStopCodons,
         identifyFeatures,
+        parseMultiFasta,
+        analyzeTranscript,
+        runBatchAnalysis,
+        summarizeBatchRows,
+        batchResultsToTSV,
+        batchResultsToJSON,
+        DEFAULT_ORF_CALLING_OPTIONS,
+        scoreORFCoverage,
+        callTranslatedORFs,
+        buildObservedTranslons,
         findNextStopInFrame,
         applyFrameshift,
+        traceRecodedProducts,
+        resolveKozakPWM,
         calculateKozakScore,
         calculateDownstreamGC,
+        RNA_STACK_ENERGIES,
+        RNA_LOOP_ENERGIES,
+        foldRNA,
+        estimateStartStructure,
+        calculateScanningPassProbability,
+        findScanningBarriers,
+        getStartCodonEfficiency,
+        calculateStructureFactor,
+        calculateTISUScore,
+        calculateCapProximityFactor,
         calculateInitiationProbability,
         calculateReinitiationProbability,
         calculateDistanceWeight,
+        normalizeEntrySites,
+        entrySitesFromRegions,
         calculateProteinMW,
+        AMINO_ACID_PROPERTIES,
+        translateORF,
+        calculateProteinProperties,
+        calculateProteinMWFromSequence,
         translateSequence,
         computeTranslonFlux,
+        calculateTAIWeights,
+        getCodonResidenceTimes,
+        computeElongationProfile,
+        computeSteadyStateElongation,
+        findElongationStalls,
+        DEFAULT_SIMULATION_OPTIONS,
+        createSeededRandom,
+        simulateRibosomes,
+        compareQueuingModel,
         assembleConstruct,
         REPORTER_PROTEINS,
+        registerReporter,
+        REPORTER_REGISTRATION_ERRORS,
+        getReporterInfo,
+        listReporters,
+        canonicalReporter,
+        reporterEpitopes,
+        buildEpitopeSites,
+        detectEpitopes,
+        listAntibodies,
+        productsForAntibodies,
+        splitProductsByChannel,
+        DEFAULT_PTM_RULES,
+        predictSignalPeptide,
+        annotatePostTranslational,
         predictProteinProducts,
-        buildTranslons
+        buildTranslons,
+        RDG_PARAM_BOUNDS,
+        buildConstructMap,
+        prepareConstructForPrediction,
+        predictLuciferaseRatio,
+        fitRDGParams,
+        DEFAULT_SENSITIVITY_OPTIONS,
+        analyzeSensitivity,
+        analyzeSensitivityAsync,
+        getTornadoData,
+        DEFAULT_UNCERTAINTY_OPTIONS,
+        defaultParamDistributions,
+        sampleDistribution,
+        sampleRDGParams,
+        summarizeAbundanceDraws,
+        propagateAbundanceUncertainty,
+        propagateAbundanceUncertaintyAsync,
+        runInChunks
     };
 }
@@ -3,7 +3,8 @@
  *
  * Creates a multi-panel, publication-style figure (A–D) that includes:
  *  A) RDG overview for the focused construct
- *  B) Western blot lanes (saved constructs + current)
+ *  B) Western blot lanes (saved constructs + current); greyscale, or merged
+ *     fluorescent channels when opts.channels = [{ name, antibodies, color }]
  *  C) Construct map for the focused construct
  *  D) Key metrics table for the focused construct
  *
@@ -13,10 +14,23 @@
   function px(v){ return Math.round(v); }
 
   // Minimal gel drawing for figure (self-contained)
-  function drawGelPanel(ctx, x, y, w, h, lanes){
+  // Products an antibody channel detects (intact epitopes)
+  function channelProducts(products, channel){
+    const eng = root.RDGEngine;
+    if (eng && eng.productsForAntibodies) return eng.productsForAntibodies(products, channel.antibodies || []);
+    return products.filter(p => (p.antibodies || []).some(ab => (channel.antibodies || []).includes(ab)));
+  }
+
+  function hexToRgb(hex){
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    return m ? [1, 2, 3].map(i => parseInt(m[i], 16)).join(',') : '255,255,255';
+  }
+
+  // channels: optional fluorescent channels [{ name, antibodies, color }] drawn additively
+  function drawGelPanel(ctx, x, y, w, h, lanes, channels){
     // Background
     ctx.save();
-    ctx.fillStyle = '#111';
+    ctx.fillStyle = channels ? '#050505' : '#111';
     ctx.fillRect(x, y, w, h);
 
     const gelTop = y + 50;
@@ -46,16 +60,8 @@
       return gelTop + gelHeight * (1 - Math.max(0, Math.min(1, frac)));
     };
 
-    lanes.forEach((lane, i) => {
-      const cx = startX + i * (laneWidth + laneGap) + laneWidth/2;
-      // Lane background
-      ctx.fillStyle = '#2d2d2d';
-      ctx.fillRect(cx - laneWidth/2, gelTop, laneWidth, gelHeight);
-
-      const prods = Array.isArray(lane.products) ? lane.products : [];
-      const maxAb = Math.max(0.0001, ...prods.map(p => (typeof p.abundance === 'number'? p.abundance : 0)));
-      const gamma = 0.8;
-
+    const drawBands = (prods, cx, maxAb, gamma, color) => {
+      const rgb = color ? hexToRgb(color) : '255,255,255';
       prods.forEach(p => {
         const yy = yForMW(p.mw);
         const norm = Math.pow(Math.max(0, p.abundance || 0) / maxAb, gamma);
@@ -63,20 +69,42 @@
         const bandW = Math.floor(laneWidth * 0.7);
         const bandH = 10; // fixed band thickness for clarity in figures
 
-        // Soft band with slight glow
+        // Soft band with slight glow; fluorescent channels add up where they overlap
         const x1 = cx - bandW/2;
         ctx.globalAlpha = alpha;
+        if (color) ctx.globalCompositeOperation = 'lighter';
         const grad = ctx.createLinearGradient(0, yy-8, 0, yy+8);
-        grad.addColorStop(0, 'rgba(255,255,255,0.12)');
-        grad.addColorStop(0.5, 'rgba(255,255,255,1.0)');
-        grad.addColorStop(1, 'rgba(255,255,255,0.12)');
+        grad.addColorStop(0, `rgba(${rgb},0.12)`);
+        grad.addColorStop(0.5, `rgba(${rgb},1.0)`);
+        grad.addColorStop(1, `rgba(${rgb},0.12)`);
         ctx.fillStyle = grad;
         ctx.shadowBlur = 2 + (norm * 8);
-        ctx.shadowColor = 'white';
+        ctx.shadowColor = color || 'white';
         ctx.fillRect(x1, yy - bandH/2, bandW, bandH);
         ctx.shadowBlur = 0;
         ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
       });
+    };
+
+    // Fluorescent channels are linear and share one scale across lanes
+    const laneProducts = (lane) => (Array.isArray(lane.products) ? lane.products : []).filter(p => p.detectable !== false);
+    const channelMax = (channels || []).map(ch =>
+      Math.max(0.0001, ...lanes.flatMap(lane => channelProducts(laneProducts(lane), ch).map(p => p.abundance || 0))));
+
+    lanes.forEach((lane, i) => {
+      const cx = startX + i * (laneWidth + laneGap) + laneWidth/2;
+      // Lane background
+      ctx.fillStyle = channels ? '#111' : '#2d2d2d';
+      ctx.fillRect(cx - laneWidth/2, gelTop, laneWidth, gelHeight);
+
+      if (channels) {
+        channels.forEach((ch, ci) => drawBands(channelProducts(laneProducts(lane), ch), cx, channelMax[ci], 1, ch.color));
+      } else {
+        const prods = Array.isArray(lane.products) ? lane.products : [];
+        const maxAb = Math.max(0.0001, ...prods.map(p => (typeof p.abundance === 'number'? p.abundance : 0)));
+        drawBands(prods, cx, maxAb, 0.8, null);
+      }
 
       // Labels under lane
       const top = lane.experiment || 'Experiment';
@@ -93,6 +121,21 @@
       ctx.restore();
     });
 
+    // Channel key along the top edge
+    if (channels) {
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'left';
+      let lx = x + 44;
+      channels.forEach(ch => {
+        const label = `${ch.name}: ${(ch.antibodies || []).join(', ')}`;
+        ctx.fillStyle = ch.color;
+        ctx.fillRect(lx, y + 16, 12, 12);
+        ctx.fillStyle = '#e5e7eb';
+        ctx.fillText(label, lx + 18, y + 27);
+        lx += 18 + ctx.measureText(label).width + 20;
+      });
+    }
+
     ctx.restore();
   }
 
@@ -115,7 +158,11 @@
         case '5UTR': return '#94A3B8';
         case '3UTR': return '#CBD5E1';
         case 'CUSTOM': return '#6B7280';
-        default: return '#64748b';
+        default: {
+          // Registered reporters and tags (RDGEngine.registerReporter)
+          const info = root.RDGEngine && root.RDGEngine.getReporterInfo ? root.RDGEngine.getReporterInfo(type) : null;
+          return info ? info.color : '#64748b';
+        }
       }
     };
     regions.forEach(r => {
@@ -141,27 +188,42 @@
     ctx.restore();
   }
 
+  // Credible interval of summed abundances (paired draws from RDGEngine.propagateAbundanceUncertainty)
+  function sumInterval(items){
+    const sampled = items.find(p => Array.isArray(p.abundanceSamples));
+    if (!sampled || !root.RDGEngine || !root.RDGEngine.summarizeAbundanceDraws) return null;
+    const draws = sampled.abundanceSamples.map((_, i) => items.reduce((a, p) =>
+      a + (Array.isArray(p.abundanceSamples) ? p.abundanceSamples[i] : (p.abundance || 0)), 0));
+    return root.RDGEngine.summarizeAbundanceDraws(draws, sampled.abundanceInterval ? sampled.abundanceInterval.level : undefined);
+  }
+
+  function formatInterval(interval){
+    return interval ? ` (${(interval.lower*100).toFixed(1)}–${(interval.upper*100).toFixed(1)}%)` : '';
+  }
+
   // Metrics list for figure
   function computeMetrics(lane, antibody){
     const products = Array.isArray(lane.products) ? lane.products : [];
     // Aggregate by reporters
-    const rluc = products.filter(p => p.reporters && p.reporters.includes('RLUC')).reduce((a,b)=>a+(b.abundance||0),0);
-    const fluc = products.filter(p => p.reporters && p.reporters.includes('FLUC')).reduce((a,b)=>a+(b.abundance||0),0);
+    const rlucProducts = products.filter(p => p.reporters && p.reporters.includes('RLUC'));
+    const flucProducts = products.filter(p => p.reporters && p.reporters.includes('FLUC'));
+    const rluc = rlucProducts.reduce((a,b)=>a+(b.abundance||0),0);
+    const fluc = flucProducts.reduce((a,b)=>a+(b.abundance||0),0);
     const bands = products.length;
     const translons = Array.isArray(lane.translons) ? lane.translons : [];
     const topT = [...translons].sort((a,b)=> (b.predictedAbundance||0)-(a.predictedAbundance||0)).slice(0,3);
-    return { rluc, fluc, bands, topT };
+    return { rluc, fluc, rlucInterval: sumInterval(rlucProducts), flucInterval: sumInterval(flucProducts), bands, topT };
   }
 
   function drawMetricsPanel(ctx, x, y, w, h, lane, antibody){
     ctx.save();
     ctx.strokeStyle = '#cbd5e1';
     ctx.strokeRect(x, y, w, h);
-    const { rluc, fluc, bands, topT } = computeMetrics(lane, antibody);
+    const { rluc, fluc, rlucInterval, flucInterval, bands, topT } = computeMetrics(lane, antibody);
     const lines = [
       `Construct: ${lane.experiment||'Experiment'} – ${lane.name||'Current'}`,
-      `RLUC total: ${(rluc*100).toFixed(1)}%`,
-      `FLUC total: ${(fluc*100).toFixed(1)}%`,
+      `RLUC total: ${(rluc*100).toFixed(1)}%${formatInterval(rlucInterval)}`,
+      `FLUC total: ${(fluc*100).toFixed(1)}%${formatInterval(flucInterval)}`,
       `Predicted bands: ${bands}`,
       `Top translons:`
     ];
@@ -170,9 +232,9 @@
     let yy = y + 22;
     lines.forEach(s => { ctx.fillText(s, x + 12, yy); yy += 18; });
     topT.forEach(t => {
-      const mw = ((t.endNt - t.startNt)/3*0.110).toFixed(1);
+      const mw = ((typeof t.predictedProteinSize === 'number') ? t.predictedProteinSize : (t.endNt - t.startNt)/3*0.110).toFixed(1);
       const p = ((t.predictedAbundance||t.probability||0)*100).toFixed(1);
-      const label = `${t.name||''}  start ${t.startNt}  frame ${t.frame}  ${mw} kDa  ${p}%`;
+      const label = `${t.name||''}  start ${t.startNt}  frame ${t.frame}  ${mw} kDa  ${p}%${formatInterval(t.abundanceInterval)}`;
       ctx.fillText(label, x + 20, yy); yy += 16;
     });
     ctx.restore();
@@ -239,7 +301,7 @@
     }
 
     // Panel B: Gel lanes (all constructs)
-    drawGelPanel(ctx, col2, row1, col2W, row1H, lanes);
+    drawGelPanel(ctx, col2, row1, col2W, row1H, lanes, Array.isArray(opts.channels) && opts.channels.length ? opts.channels : null);
     drawPanelLabel(ctx, col2, row1 - 22, 'B');
     ctx.font = '14px sans-serif'; ctx.fillStyle = '#334155'; ctx.fillText('Predicted Western blot', col2 + 34, row1 - 6);
 
@@ -259,6 +321,11 @@
     ctx.fillStyle = '#0f172a'; ctx.font = '12px sans-serif';
     const cap = opts.caption || 'RDG shows translation paths; gel summarizes predicted detectable products; metrics list dominant translons and reporter totals.';
     ctx.fillText(cap, col1, capY);
+    const sampled = (focus.translons || []).find(t => t.abundanceInterval);
+    if (sampled) {
+      const iv = sampled.abundanceInterval;
+      ctx.fillText(`Ranges in parentheses: ${Math.round(iv.level*100)}% credible intervals over ${iv.samples} sampled RDG parameter sets.`, col1, capY + 18);
+    }
 
     // Download
     const a = document.createElement('a');
@@ -5,8 +5,12 @@
  * Shared between RDG demo and Western Blot demo
  */
 
+// Height of the optional Ribo-seq coverage track drawn under the frame rails
+const COVERAGE_TRACK_HEIGHT = 36;
+
 // Calculate tree layout from translons with support for readthrough and frameshifts
-function calculateTreeLayout(translons, sequence, readthroughStops = [], frameshiftSites = []) {
+// topPadding pushes the layout down (e.g. to make room for a coverage track)
+function calculateTreeLayout(translons, sequence, readthroughStops = [], frameshiftSites = [], entrySites = [], topPadding = 0) {
     console.log(`[calculateTreeLayout] Called with ${translons.length} translons, ${readthroughStops.length} readthrough stops, ${frameshiftSites.length} frameshift sites`);
     console.log(`[calculateTreeLayout] Readthrough stops:`, readthroughStops);
 
@@ -14,7 +18,7 @@ function calculateTreeLayout(translons, sequence, readthroughStops = [], framesh
     const edges = [];
     const branchSpacing = 80;
     // Allow host page to shift the layout baseline down to avoid overlap with frame rails
-    const layoutStartY = (typeof window !== 'undefined' && typeof window.RDG_LAYOUT_Y0 === 'number') ? window.RDG_LAYOUT_Y0 : 200;
+    const layoutStartY = ((typeof window !== 'undefined' && typeof window.RDG_LAYOUT_Y0 === 'number') ? window.RDG_LAYOUT_Y0 : 200) + topPadding;
     let currentY = layoutStartY;
     const rootNode = {
         id: 'root',
@@ -26,6 +30,30 @@ function calculateTreeLayout(translons, sequence, readthroughStops = [], framesh
 
     let previousNode = rootNode;
 
+    // Internal entry sites (IRES): cap-independent loading onto the scanning line from above
+    const addEntrySites = (scanningYAt) => {
+        (entrySites || []).forEach((site, index) => {
+            const entryY = scanningYAt(site.pos);
+            nodes.push({
+                id: `entry_${index}`,
+                x: site.pos,
+                y: entryY - branchSpacing,
+                type: 'entry',
+                entrySite: site
+            });
+            edges.push({
+                from: `entry_${index}`,
+                to: null,
+                x1: site.pos,
+                y1: entryY - branchSpacing,
+                x2: site.pos,
+                y2: entryY,
+                type: 'entry',
+                entrySite: site
+            });
+        });
+    };
+
     if (translons.length === 0) {
         const endNode = {
             id: 'end',
@@ -45,6 +73,7 @@ function calculateTreeLayout(translons, sequence, readthroughStops = [], framesh
             type: 'noncoding'
         });
 
+        addEntrySites(() => currentY);
         return { nodes, edges };
     }
 
@@ -296,11 +325,69 @@ function calculateTreeLayout(translons, sequence, readthroughStops = [], framesh
         type: 'noncoding'
     });
 
+    addEntrySites(getScanningYAtPosition);
+
     return { nodes, edges };
 }
 
+// Layout padding that makes room for a coverage track (0 when none is shown);
+// pages that recompute the layout themselves must pass the same padding
+function getCoveragePadding(coverage) {
+    return coverage && coverage.counts && coverage.counts.length ? COVERAGE_TRACK_HEIGHT + 8 : 0;
+}
+
+// Draw observed P-site counts as per-nucleotide bars coloured by frame
+// coverage.observed (optional): ORFs called from the coverage, drawn as frame-coloured spans
+function drawCoverageTrack(ctx, coverage, ntToPixel, top, height, FRAME_COLORS, left, right) {
+    const bottom = top + height;
+    ctx.fillStyle = '#f8fafc';
+    ctx.fillRect(left, top, right - left, height);
+    ctx.strokeStyle = '#cbd5e1';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, right - left, height);
+
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#334155';
+    ctx.fillText('P-sites', left - 10, top + height / 2 + 4);
+
+    const max = coverage.max || 0;
+    if (max > 0) {
+        // Square-root scaling keeps single peaks from flattening the track
+        const scale = (c) => Math.sqrt(c / max) * (height - 4);
+        const barWidth = Math.max(1, ntToPixel(1) - ntToPixel(0));
+        coverage.counts.forEach((count, pos) => {
+            if (!count) return;
+            const h = scale(count);
+            ctx.fillStyle = FRAME_COLORS[pos % 3];
+            ctx.fillRect(ntToPixel(pos), bottom - h, barWidth, h);
+        });
+    }
+
+    // Detected ORFs along the bottom edge of the track
+    (coverage.observed || []).forEach(orf => {
+        const x1 = ntToPixel(orf.startNt);
+        const x2 = ntToPixel(orf.endNt);
+        ctx.fillStyle = FRAME_COLORS[orf.frame];
+        ctx.fillRect(x1, bottom - 3, Math.max(2, x2 - x1), 3);
+        ctx.strokeStyle = '#0f172a';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x1, bottom - 8);
+        ctx.lineTo(x1, bottom);
+        ctx.stroke();
+    });
+
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#64748b';
+    const detected = coverage.observed ? ` · ${coverage.observed.length} ORFs detected` : '';
+    ctx.fillText(`${coverage.name || 'Ribo-seq'} (max ${Math.round(max)})${detected}`, left + 4, top + 11);
+}
+
 // Draw tree layout on canvas
-function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COLORS, constructRegions = null, readthroughStops = [], frameshiftSites = []) {
+// coverage: optional RiboSeq.buildCoverageTrack output shown under the frame rails
+function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COLORS, constructRegions = null, readthroughStops = [], frameshiftSites = [], entrySites = [], coverage = null) {
     console.log(`[drawTreeLayout] VERSION 2.0 - Called with ${readthroughStops.length} readthrough stops`);
     console.log(`[drawTreeLayout] Readthrough stops:`, readthroughStops);
 
@@ -308,13 +395,23 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
     const getConfig = () => (typeof window !== 'undefined' && window.RDGVizConfig) ? window.RDGVizConfig : { mode: 'accessibility' };
     const cfg = getConfig();
 
+    // Registered reporters and tags (RDGEngine.registerReporter) carry their own colour
+    const reporterInfo = (type) => {
+        const eng = (typeof window !== 'undefined') ? window.RDGEngine : null;
+        return (eng && eng.getReporterInfo && type) ? eng.getReporterInfo(type) : null;
+    };
+    const isReporterType = (type) => !!reporterInfo(type);
+
     // Palette (construct blocks)
     const colorForType = (type) => {
         if (!type) return '#64748b';
         if (typeof type === 'string' && type.startsWith('RLUC')) return '#2563EB'; // blue-600
+        const info = reporterInfo(type);
+        if (info) return info.color;
         switch (type) {
             case 'FLUC': return '#DC2626'; // red-600
             case 'LINKER': return '#F59E0B'; // amber-500
+            case 'IRES': return '#0D9488'; // teal-600
             case '5UTR': return '#94A3B8'; // slate-300 (context)
             case '3UTR': return '#CBD5E1'; // slate-200 (context)
             case 'CUSTOM': return '#6B7280'; // grey-500
@@ -330,10 +427,13 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
     const seqEndX = canvas.width - margin;
     const ntToPixel = (nt) => margin + (nt / sequence.length) * (seqEndX - margin);
 
+    const coveragePadding = getCoveragePadding(coverage);
+    const showCoverage = coveragePadding > 0;
+
     console.log(`[drawTreeLayout] About to call calculateTreeLayout...`);
     // Call the internal calculateTreeLayout function directly (not from global scope)
     const result = (function() {
-        return calculateTreeLayout(translons, sequence, readthroughStops, frameshiftSites);
+        return calculateTreeLayout(translons, sequence, readthroughStops, frameshiftSites, entrySites, coveragePadding);
     })();
     const { nodes, edges } = result;
     console.log(`[drawTreeLayout] calculateTreeLayout returned ${nodes.length} nodes and ${edges.length} edges`);
@@ -389,7 +489,7 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
             ctx.fillText(region.type, (x1 + x2) / 2, 50);
 
             // Optional: ORF bar on frame track (off by default in accessibility mode)
-            if (showOrfBarsOnFrames && (region.type === 'RLUC' || region.type === 'RLUC_WEAK' || region.type === 'RLUC_NO_STOP' || region.type === 'FLUC')) {
+            if (showOrfBarsOnFrames && isReporterType(region.type)) {
                 const frameIdx = (rStartNt) % 3;
                 const y = railsY[frameIdx];
                 ctx.fillStyle = regionColor;
@@ -432,6 +532,11 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
         }
     });
 
+    if (showCoverage) {
+        const trackTop = frameY[2] + frameBarHeight / 2 + 6;
+        drawCoverageTrack(ctx, coverage, ntToPixel, trackTop, COVERAGE_TRACK_HEIGHT, FRAME_COLORS, margin, seqEndX);
+    }
+
     // Expose last layout and helpers for interactivity (only for primary RDG canvas)
     if (typeof window !== 'undefined') {
         const isPrimary = canvas && (canvas.id === 'rdg-canvas' || window.__RDG_PRIMARY_CANVAS === canvas);
@@ -592,9 +697,8 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
 
             // Outlines: indicate construct blocks (reporters/linker) without obscuring frame color
             if (constructRegions && constructRegions.length) {
-                const overlayTypes = new Set(['RLUC','RLUC_WEAK','RLUC_NO_STOP','FLUC','LINKER']);
                 constructRegions.forEach(region => {
-                    if (!overlayTypes.has(region.type)) return;
+                    if (!isReporterType(region.type) && region.type !== 'LINKER') return;
                     const rStartNt = region.assembled ? region.start : (region.start - 1);
                     const rEndNt = region.end;
                     const segStartNt = Math.max(edge.x1, rStartNt);
@@ -624,7 +728,7 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
             let reporters = [];
             if (constructRegions) {
                 constructRegions.forEach(region => {
-                    if ((region.type === 'RLUC' || region.type === 'RLUC_WEAK' || region.type === 'RLUC_NO_STOP' || region.type === 'FLUC') &&
+                    if (isReporterType(region.type) &&
                         edge.translon.startNt <= ((region.assembled ? region.start : (region.start - 1))) &&
                         edge.translon.endNt >= region.end) {
                         reporters.push(region.type);
@@ -728,9 +832,8 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
 
             // Outlines for readthrough path (reporter/linker only)
             if (constructRegions && constructRegions.length) {
-                const overlayTypes = new Set(['RLUC','RLUC_WEAK','RLUC_NO_STOP','FLUC','LINKER']);
                 constructRegions.forEach(region => {
-                    if (!overlayTypes.has(region.type)) return;
+                    if (!isReporterType(region.type) && region.type !== 'LINKER') return;
                     const rStartNt = region.assembled ? region.start : (region.start - 1);
                     const rEndNt = region.end;
                     const segStartNt = Math.max(edge.x1, rStartNt);
@@ -777,6 +880,30 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
             ctx.stroke();
             ctx.setLineDash([]);
             ctx.globalAlpha = 1;
+        } else if (edge.type === 'entry') {
+            // Internal entry (IRES): teal edge with an arrowhead onto the scanning line
+            const yOff = (typeof window !== 'undefined' && typeof window.RDG_Y_OFFSET === 'number') ? window.RDG_Y_OFFSET : 0;
+            const y1p = edge.y1 + yOff;
+            const y2p = edge.y2 + yOff;
+            ctx.strokeStyle = '#0d9488';
+            ctx.fillStyle = '#0d9488';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1p);
+            ctx.lineTo(x2, y2p - 6);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(x2, y2p);
+            ctx.lineTo(x2 - 5, y2p - 8);
+            ctx.lineTo(x2 + 5, y2p - 8);
+            ctx.closePath();
+            ctx.fill();
+
+            const site = edge.entrySite || {};
+            ctx.font = 'bold 10px sans-serif';
+            ctx.textAlign = 'center';
+            const eff = typeof site.efficiency === 'number' ? ` ${(site.efficiency * 100).toFixed(0)}%` : '';
+            ctx.fillText(`${site.name || 'IRES'}${eff}`, x1, y1p - 8);
         }
     });
 
@@ -789,6 +916,20 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
             const y = (node.y || 0) + (window.RDG_Y_OFFSET || 0);
             ctx.arc(x, y, 5, 0, Math.PI * 2);
             ctx.fill();
+        } else if (node.type === 'entry') {
+            const x = ntToPixel(node.x);
+            const y = (node.y || 0) + (window.RDG_Y_OFFSET || 0);
+            ctx.fillStyle = '#ccfbf1';
+            ctx.strokeStyle = '#0d9488';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, y - 6);
+            ctx.lineTo(x + 6, y);
+            ctx.lineTo(x, y + 6);
+            ctx.lineTo(x - 6, y);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
         } else if (node.type === 'readthrough_decision') {
             // Special marker for readthrough decision points
             const x = ntToPixel(node.x);
@@ -820,10 +961,15 @@ function drawTreeLayout(ctx, canvas, translons, sequence, startCodons, FRAME_COL
         const h = 10; const w = 34; let curX = legendX + 8; let rowY = legendY + 26;
 
         // If reporter constructs are present, show reporter legend; else show frame/start/stop legend
-        const hasReporters = Array.isArray(constructRegions) && constructRegions.some(r => ['RLUC','RLUC_WEAK','RLUC_NO_STOP','FLUC','LINKER'].includes(r.type));
+        const hasReporters = Array.isArray(constructRegions) && constructRegions.some(r => isReporterType(r.type) || r.type === 'LINKER');
         if (hasReporters) {
-            drawChip(curX, rowY, w, h, colorForType('RLUC'), 'RLUC'); curX += 78;
-            drawChip(curX, rowY, w, h, colorForType('FLUC'), 'FLUC'); curX = legendX + 8; rowY += 18;
+            // One chip per reporter/tag present (variants fold into their reporter), two per row
+            const present = [...new Set(constructRegions.map(r => reporterInfo(r.type)).filter(Boolean).map(info => info.type))].slice(0, 4);
+            present.forEach((type, i) => {
+                drawChip(curX, rowY, w, h, colorForType(type), type);
+                if (i % 2 === 0) { curX += 86; } else { curX = legendX + 8; rowY += 18; }
+            });
+            if (present.length % 2 === 1) { curX = legendX + 8; rowY += 18; }
             drawChip(curX, rowY, w, h, colorForType('LINKER'), 'Linker'); curX += 96;
             drawChip(curX, rowY, w, h, '#f59e0b', 'Readthrough', true);
         } else {
@@ -907,17 +1053,107 @@ function suggestConstructDesign(sequence, startCodons, features = null) {
     return suggestions;
 }
 
+// Draw a tornado chart of parameter sensitivity (RDGEngine.getTornadoData output)
+function drawTornadoChart(ctx, canvas, tornado, options = {}) {
+    const width = canvas.width;
+    const height = canvas.height;
+    const bars = (tornado && tornado.bars) || [];
+    const lowColor = options.lowColor || '#3b82f6';
+    const highColor = options.highColor || '#f97316';
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.fillStyle = '#334155';
+    ctx.font = 'bold 14px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(`Sensitivity: ${tornado ? tornado.label : ''}`, 16, 24);
+    ctx.fillStyle = '#64748b';
+    ctx.font = '11px sans-serif';
+    ctx.fillText(`Δ predicted abundance (baseline ${tornado ? tornado.baseline.toFixed(3) : '—'})`, 16, 42);
+
+    if (bars.length === 0) {
+        ctx.fillText('No parameters to show', 16, 70);
+        return;
+    }
+
+    const labelWidth = 150;
+    const left = labelWidth + 16;
+    const right = width - 24;
+    const top = 60;
+    const bottom = height - 40;
+    const rowH = Math.min(32, (bottom - top) / bars.length);
+    const maxAbs = Math.max(1e-6, ...bars.map(b => Math.max(Math.abs(b.low), Math.abs(b.high))));
+    const centerX = left + (right - left) / 2;
+    const scale = ((right - left) / 2) / maxAbs;
+
+    bars.forEach((bar, i) => {
+        const y = top + i * rowH;
+        const barH = rowH * 0.6;
+        const yBar = y + (rowH - barH) / 2;
+
+        ctx.fillStyle = '#334155';
+        ctx.font = 'bold 11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(bar.param, labelWidth, yBar + barH / 2 + 4);
+
+        [[bar.low, lowColor, bar.lowValue], [bar.high, highColor, bar.highValue]].forEach(([delta, color, value]) => {
+            if (!delta) return;
+            const x0 = delta < 0 ? centerX + delta * scale : centerX;
+            ctx.fillStyle = color;
+            ctx.fillRect(x0, yBar, Math.abs(delta) * scale, barH);
+            ctx.fillStyle = '#475569';
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = delta < 0 ? 'right' : 'left';
+            const tx = delta < 0 ? x0 - 4 : x0 + Math.abs(delta) * scale + 4;
+            ctx.fillText(`${Number(value.toPrecision(3))}`, tx, yBar + barH / 2 + 4);
+        });
+    });
+
+    // Baseline axis
+    ctx.strokeStyle = '#0f172a';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(centerX, top - 4);
+    ctx.lineTo(centerX, top + bars.length * rowH + 4);
+    ctx.stroke();
+
+    ctx.fillStyle = '#64748b';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'center';
+    const axisY = top + bars.length * rowH + 18;
+    ctx.fillText(`-${maxAbs.toFixed(3)}`, left, axisY);
+    ctx.fillText('0', centerX, axisY);
+    ctx.fillText(`+${maxAbs.toFixed(3)}`, right, axisY);
+
+    // Legend
+    ctx.textAlign = 'left';
+    ctx.fillStyle = lowColor;
+    ctx.fillRect(left, axisY + 8, 10, 10);
+    ctx.fillStyle = '#475569';
+    ctx.fillText('low value', left + 14, axisY + 17);
+    ctx.fillStyle = highColor;
+    ctx.fillRect(left + 80, axisY + 8, 10, 10);
+    ctx.fillStyle = '#475569';
+    ctx.fillText('high value', left + 94, axisY + 17);
+}
+
 // Export functions
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         calculateTreeLayout,
         drawTreeLayout,
+        getCoveragePadding,
+        drawTornadoChart,
         suggestConstructDesign
     };
 } else {
     window.RDGViz = {
         calculateTreeLayout,
         drawTreeLayout,
+        getCoveragePadding,
+        drawTornadoChart,
         suggestConstructDesign
     };
 }
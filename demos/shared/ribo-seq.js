@@ -0,0 +1,546 @@
+/**
+ * RiboSeq - Ribosome profiling coverage import
+ *
+ * Parses local Ribo-seq coverage (BedGraph, wiggle, or TSV of per-position
+ * counts), shifts read positions to P-sites using per-read-length offsets, and
+ * builds a per-nucleotide coverage track for one transcript that RDGViz can
+ * overlay under the frame rails. Tables of read 5' ends with read lengths can
+ * also be analysed for three-nucleotide periodicity (metagenes, P-site offsets,
+ * frame fractions, spectral power at 1/3).
+ *
+ * Records are { transcript, pos (0-based), count, readLength|null }. Positions
+ * are transcript coordinates; records without a read length are assumed to be
+ * P-site positions already unless an unlabelled offset is given.
+ */
+
+(function(global){
+  // Typical 28-30 nt footprints put the P-site 12 nt from the 5' end
+  const DEFAULT_PSITE_OFFSETS = {
+    byLength: { 26: 12, 27: 12, 28: 12, 29: 12, 30: 13, 31: 13, 32: 13 },
+    default: 12
+  };
+
+  function splitLines(text) {
+    return (text || '').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  }
+
+  function isNumeric(value) {
+    return value !== '' && value !== undefined && !isNaN(Number(value));
+  }
+
+  /**
+   * Parse BedGraph (0-based, half-open): chrom start end value
+   * Each covered position in [start, end) receives the interval value.
+   */
+  function parseBedGraph(text) {
+    const records = [];
+    splitLines(text).forEach(line => {
+      if (/^(track|browser)\b/.test(line)) return;
+      const cols = line.split(/\s+/);
+      if (cols.length < 4 || !isNumeric(cols[1]) || !isNumeric(cols[2]) || !isNumeric(cols[3])) return;
+      const start = parseInt(cols[1], 10);
+      const end = parseInt(cols[2], 10);
+      const value = Number(cols[3]);
+      if (!value) return;
+      for (let pos = start; pos < end; pos++) {
+        records.push({ transcript: cols[0], pos, count: value, readLength: null });
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Parse wiggle (1-based): fixedStep and variableStep sections, honouring span
+   */
+  function parseWig(text) {
+    const records = [];
+    let mode = null;
+    let chrom = null;
+    let span = 1;
+    let step = 1;
+    let nextPos = 1;
+
+    const attr = (line, key) => {
+      const m = line.match(new RegExp(`\\b${key}=(\\S+)`));
+      return m ? m[1] : null;
+    };
+    const emit = (start1, value) => {
+      if (!value) return;
+      for (let k = 0; k < span; k++) {
+        records.push({ transcript: chrom, pos: start1 - 1 + k, count: value, readLength: null });
+      }
+    };
+
+    splitLines(text).forEach(line => {
+      if (/^(track|browser)\b/.test(line)) return;
+      if (line.startsWith('fixedStep') || line.startsWith('variableStep')) {
+        mode = line.startsWith('fixedStep') ? 'fixed' : 'variable';
+        chrom = attr(line, 'chrom');
+        span = parseInt(attr(line, 'span') || '1', 10);
+        step = parseInt(attr(line, 'step') || '1', 10);
+        nextPos = parseInt(attr(line, 'start') || '1', 10);
+        return;
+      }
+      const cols = line.split(/\s+/);
+      if (mode === 'fixed' && isNumeric(cols[0])) {
+        emit(nextPos, Number(cols[0]));
+        nextPos += step;
+      } else if (mode === 'variable' && cols.length >= 2 && isNumeric(cols[0]) && isNumeric(cols[1])) {
+        emit(parseInt(cols[0], 10), Number(cols[1]));
+      }
+    });
+    return records;
+  }
+
+  /**
+   * Parse a tab/comma separated table of per-position counts
+   * With a header, columns are matched by name (transcript|tx|chrom,
+   * position|pos, count|reads|value, read_length|length). Without one:
+   *   pos count | transcript pos count | pos count readLength | transcript pos count readLength
+   * or, with options.readTable (one row per read 5' end, count optional):
+   *   pos readLength | transcript pos readLength | transcript pos readLength count
+   * Positions are 1-based unless options.zeroBased is set.
+   */
+  function parseTSV(text, options = {}) {
+    const lines = splitLines(text);
+    if (lines.length === 0) return [];
+    const split = (line) => line.split(/\t|,/).map(c => c.trim());
+    const shift = options.zeroBased ? 0 : 1;
+
+    let columns = null;
+    const first = split(lines[0]);
+    const hasHeader = first.some(c => /^(transcript|tx|chrom|position|pos|count|reads|value|read_?length|length)$/i.test(c));
+    if (hasHeader) {
+      const find = (pattern) => first.findIndex(c => pattern.test(c));
+      columns = {
+        transcript: find(/^(transcript|tx|chrom)$/i),
+        pos: find(/^(position|pos)$/i),
+        count: find(/^(count|reads|value)$/i),
+        readLength: find(/^(read_?length|length)$/i)
+      };
+      if (columns.pos < 0) throw new Error('Coverage table header needs a position column');
+    }
+
+    const records = [];
+    lines.slice(hasHeader ? 1 : 0).forEach(line => {
+      const cols = split(line);
+      let c = columns;
+      if (!c) {
+        const named = !isNumeric(cols[0]);
+        const k = named ? 1 : 0;
+        c = options.readTable
+          ? { transcript: named ? 0 : -1, pos: k, readLength: k + 1, count: cols.length > k + 2 ? k + 2 : -1 }
+          : { transcript: named ? 0 : -1, pos: k, count: k + 1, readLength: cols.length > k + 2 ? k + 2 : -1 };
+      }
+      if (!isNumeric(cols[c.pos])) return;
+      const count = c.count >= 0 ? Number(cols[c.count]) : 1;
+      if (!count) return;
+      records.push({
+        transcript: c.transcript >= 0 ? cols[c.transcript] : null,
+        pos: parseInt(cols[c.pos], 10) - shift,
+        count,
+        readLength: c.readLength >= 0 && isNumeric(cols[c.readLength]) ? parseInt(cols[c.readLength], 10) : null
+      });
+    });
+    return records;
+  }
+
+  /**
+   * Guess the coverage format from a file name and its first data lines
+   * @returns {string} 'bedgraph' | 'wig' | 'tsv'
+   */
+  function detectFormat(text, fileName = '') {
+    const name = (fileName || '').toLowerCase();
+    if (/\.(bedgraph|bg)$/.test(name)) return 'bedgraph';
+    if (/\.(wig|wiggle)$/.test(name)) return 'wig';
+    if (/\.(tsv|csv|txt)$/.test(name)) return 'tsv';
+    const lines = splitLines(text).slice(0, 20);
+    if (lines.some(l => /^(fixedStep|variableStep)\b/.test(l))) return 'wig';
+    if (lines.some(l => /^track\b.*type=bedGraph/i.test(l))) return 'bedgraph';
+    const data = lines.find(l => !/^(track|browser)\b/.test(l));
+    const cols = data ? data.split(/\s+/) : [];
+    if (cols.length === 4 && !isNumeric(cols[0]) && cols.slice(1).every(isNumeric)) return 'bedgraph';
+    return 'tsv';
+  }
+
+  /**
+   * Parse coverage text in any supported format
+   * @param {string} text - File contents
+   * @param {Object} options - { format: 'auto'|'bedgraph'|'wig'|'tsv', fileName, zeroBased }
+   * @returns {Object} { format, records, transcripts }
+   */
+  function parseCoverage(text, options = {}) {
+    const format = !options.format || options.format === 'auto'
+      ? detectFormat(text, options.fileName)
+      : options.format;
+    let records;
+    if (format === 'bedgraph') records = parseBedGraph(text);
+    else if (format === 'wig') records = parseWig(text);
+    else if (format === 'tsv') records = parseTSV(text, options);
+    else throw new Error(`Unknown coverage format: ${format}`);
+
+    return { format, records, transcripts: listTranscripts(records) };
+  }
+
+  function listTranscripts(records) {
+    const seen = new Set();
+    records.forEach(r => { if (r.transcript) seen.add(r.transcript); });
+    return Array.from(seen);
+  }
+
+  /**
+   * Shift read positions to P-sites by read length
+   * @param {Array} records - Parsed records
+   * @param {Object} offsets - { byLength: {len: offset}, default, unlabelled }; `unlabelled`
+   *                           is applied to records without a read length (default 0)
+   * @returns {Array} New records with pos at the P-site (reads with unknown length
+   *                  and no default offset are dropped)
+   */
+  function applyPSiteOffsets(records, offsets = DEFAULT_PSITE_OFFSETS) {
+    const byLength = offsets.byLength || {};
+    const unlabelled = typeof offsets.unlabelled === 'number' ? offsets.unlabelled : 0;
+    const shifted = [];
+    records.forEach(r => {
+      let offset;
+      if (r.readLength === null || r.readLength === undefined) {
+        offset = unlabelled;
+      } else if (typeof byLength[r.readLength] === 'number') {
+        offset = byLength[r.readLength];
+      } else if (typeof offsets.default === 'number') {
+        offset = offsets.default;
+      } else {
+        return;
+      }
+      shifted.push({ ...r, pos: r.pos + offset });
+    });
+    return shifted;
+  }
+
+  /**
+   * Parse "28:12, 29:12, default:13" style offset text
+   */
+  function parseOffsetSpec(text) {
+    const offsets = { byLength: {}, default: DEFAULT_PSITE_OFFSETS.default };
+    (text || '').split(/[,;\s]+/).filter(Boolean).forEach(pair => {
+      const [key, value] = pair.split(/[:=]/);
+      if (!isNumeric(value)) return;
+      if (/^(default|\*)$/i.test(key)) offsets.default = parseInt(value, 10);
+      else if (/^unlabel+ed$/i.test(key)) offsets.unlabelled = parseInt(value, 10);
+      else if (isNumeric(key)) offsets.byLength[parseInt(key, 10)] = parseInt(value, 10);
+    });
+    return offsets;
+  }
+
+  /**
+   * Build a per-nucleotide P-site coverage track for one transcript
+   * @param {Array} records - Parsed records (offsets applied unless options.offsets given)
+   * @param {Object} options - { transcript (required when the records cover several), length, offsets, name }
+   * @returns {Object} { name, transcript, length, counts, total, max, frameTotals, dropped }
+   */
+  function buildCoverageTrack(records, options = {}) {
+    const transcripts = listTranscripts(records);
+    if (!options.transcript && transcripts.length > 1) {
+      throw new Error(`Coverage covers ${transcripts.length} transcripts; choose one (${transcripts.slice(0, 3).join(', ')}${transcripts.length > 3 ? ', ...' : ''})`);
+    }
+    const transcript = options.transcript || (transcripts.length === 1 ? transcripts[0] : null);
+    const selected = records.filter(r => !transcript || !r.transcript || r.transcript === transcript);
+    const psites = options.offsets ? applyPSiteOffsets(selected, options.offsets) : selected;
+
+    const length = options.length || psites.reduce((m, r) => Math.max(m, r.pos + 1), 0);
+    const counts = new Array(length).fill(0);
+    let dropped = 0;
+    psites.forEach(r => {
+      if (r.pos < 0 || r.pos >= length) {
+        dropped += r.count;
+        return;
+      }
+      counts[r.pos] += r.count;
+    });
+
+    const frameTotals = [0, 0, 0];
+    let total = 0;
+    let max = 0;
+    counts.forEach((c, pos) => {
+      total += c;
+      frameTotals[pos % 3] += c;
+      if (c > max) max = c;
+    });
+
+    return {
+      name: options.name || transcript || 'Ribo-seq',
+      transcript,
+      length,
+      counts,
+      total,
+      max,
+      frameTotals,
+      dropped
+    };
+  }
+
+  /**
+   * Compare translons with observed footprints
+   * @param {Object} track - Output of buildCoverageTrack
+   * @param {Array} translons - Translons with startNt, endNt and frame
+   * @returns {Array} [{ startNt, endNt, frame, reads, density (per codon), inFrameFraction }]
+   */
+  function summarizeTranslonCoverage(track, translons) {
+    return (translons || []).map(t => {
+      const frame = typeof t.frame === 'number' ? t.frame : t.startNt % 3;
+      const end = Math.min(t.endNt, track.length);
+      let reads = 0;
+      let inFrame = 0;
+      for (let pos = Math.max(0, t.startNt); pos < end; pos++) {
+        reads += track.counts[pos];
+        if (pos % 3 === frame) inFrame += track.counts[pos];
+      }
+      const codons = Math.max(1, (end - t.startNt) / 3);
+      return {
+        startNt: t.startNt,
+        endNt: t.endNt,
+        frame,
+        reads,
+        density: reads / codons,
+        inFrameFraction: reads > 0 ? inFrame / reads : null
+      };
+    });
+  }
+
+  // ==========================================================================
+  // PERIODICITY ANALYSIS
+  // ==========================================================================
+
+  /**
+   * Parse CDS annotations: transcript cds_start cds_end (1-based, inclusive,
+   * cds_end = last nt of the stop codon)
+   * @returns {Object} { transcript: { start, stop } } with 0-based start/stop codon positions
+   */
+  function parseAnnotations(text) {
+    const annotations = {};
+    splitLines(text).forEach(line => {
+      const cols = line.split(/[\t,\s]+/);
+      if (cols.length < 3 || !isNumeric(cols[1]) || !isNumeric(cols[2])) return;
+      annotations[cols[0]] = { start: parseInt(cols[1], 10) - 1, stop: parseInt(cols[2], 10) - 3 };
+    });
+    return annotations;
+  }
+
+  function annotationFor(record, annotations) {
+    if (record.transcript && annotations[record.transcript]) return annotations[record.transcript];
+    // Unnamed reads (single-transcript tables) use the only annotation
+    const keys = Object.keys(annotations);
+    return !record.transcript && keys.length === 1 ? annotations[keys[0]] : null;
+  }
+
+  /**
+   * Per-read-length metagene profiles of read 5' ends around start and stop codons
+   * Start profiles cover [-upstream, +downstream] nt from the first nt of the start
+   * codon; stop profiles cover [-downstream, +upstream] from the first nt of the stop.
+   * Frame counts are for 5' ends inside the CDS, relative to the start codon.
+   *
+   * @param {Array} records - Read records with readLength (5' end positions)
+   * @param {Object} annotations - Output of parseAnnotations
+   * @param {Object} options - { upstream (default 30), downstream (default 60) }
+   * @returns {Object} { upstream, downstream, lengths, byLength: {L: {reads, start, stop, frames}}, reads, unannotated }
+   */
+  function computeMetagene(records, annotations, options = {}) {
+    const upstream = typeof options.upstream === 'number' ? options.upstream : 30;
+    const downstream = typeof options.downstream === 'number' ? options.downstream : 60;
+    const size = upstream + downstream + 1;
+    const byLength = {};
+    let reads = 0;
+    let unannotated = 0;
+
+    records.forEach(r => {
+      if (r.readLength === null || r.readLength === undefined) return;
+      const cds = annotationFor(r, annotations);
+      if (!cds) {
+        unannotated += r.count;
+        return;
+      }
+      if (!byLength[r.readLength]) {
+        byLength[r.readLength] = {
+          reads: 0,
+          start: new Array(size).fill(0),
+          stop: new Array(size).fill(0),
+          frames: [0, 0, 0]
+        };
+      }
+      const profile = byLength[r.readLength];
+      profile.reads += r.count;
+      reads += r.count;
+
+      const relStart = r.pos - cds.start;
+      if (relStart >= -upstream && relStart <= downstream) profile.start[relStart + upstream] += r.count;
+      const relStop = r.pos - cds.stop;
+      if (relStop >= -downstream && relStop <= upstream) profile.stop[relStop + downstream] += r.count;
+      if (r.pos >= cds.start && r.pos < cds.stop) profile.frames[relStart % 3] += r.count;
+    });
+
+    const lengths = Object.keys(byLength).map(Number).sort((a, b) => a - b);
+    return { upstream, downstream, lengths, byLength, reads, unannotated };
+  }
+
+  /**
+   * Estimate P-site offsets per read length from the start-codon metagene
+   * Initiating ribosomes hold the start codon in the P-site, so the 5' end pile-up
+   * upstream of the start marks the offset (strongest peak in [-maxOffset, -minOffset]).
+   *
+   * @param {Object} metagene - Output of computeMetagene
+   * @param {Object} options - { minOffset (8), maxOffset (20), minReads (20) }
+   * @returns {Object} { byLength, default, details: [{readLength, offset, reads, peakShare}] }
+   */
+  function estimatePSiteOffsets(metagene, options = {}) {
+    const minOffset = typeof options.minOffset === 'number' ? options.minOffset : 8;
+    const maxOffset = typeof options.maxOffset === 'number' ? options.maxOffset : 20;
+    const minReads = typeof options.minReads === 'number' ? options.minReads : 20;
+
+    const byLength = {};
+    const details = [];
+    const votes = {};
+    metagene.lengths.forEach(len => {
+      const profile = metagene.byLength[len];
+      if (profile.reads < minReads) return;
+
+      let best = null;
+      let windowTotal = 0;
+      for (let offset = minOffset; offset <= Math.min(maxOffset, metagene.upstream); offset++) {
+        const count = profile.start[metagene.upstream - offset];
+        windowTotal += count;
+        if (!best || count > best.count) best = { offset, count };
+      }
+      if (!best || best.count === 0) return;
+
+      byLength[len] = best.offset;
+      votes[best.offset] = (votes[best.offset] || 0) + profile.reads;
+      details.push({ readLength: len, offset: best.offset, reads: profile.reads, peakShare: best.count / windowTotal });
+    });
+
+    // Read-weighted most common offset covers lengths without enough signal
+    const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+    const fallback = ranked.length ? parseInt(ranked[0][0], 10) : DEFAULT_PSITE_OFFSETS.default;
+    return { byLength, default: fallback, details };
+  }
+
+  /**
+   * Fraction of P-sites in each frame of the annotated CDS, per read length and overall
+   * @returns {Object} { byLength: {L: [f0, f1, f2]}, overall: [f0, f1, f2], reads }
+   */
+  function computeFrameFractions(records, annotations, offsets = DEFAULT_PSITE_OFFSETS) {
+    const counts = {};
+    const overall = [0, 0, 0];
+    let reads = 0;
+    applyPSiteOffsets(records, offsets).forEach(r => {
+      const cds = annotationFor(r, annotations);
+      if (!cds || r.pos < cds.start || r.pos >= cds.stop) return;
+      const frame = (r.pos - cds.start) % 3;
+      const key = r.readLength === null || r.readLength === undefined ? 'all' : r.readLength;
+      if (!counts[key]) counts[key] = [0, 0, 0];
+      counts[key][frame] += r.count;
+      overall[frame] += r.count;
+      reads += r.count;
+    });
+
+    const normalise = (c) => {
+      const sum = c[0] + c[1] + c[2];
+      return sum > 0 ? c.map(v => v / sum) : [0, 0, 0];
+    };
+    const byLength = {};
+    Object.entries(counts).forEach(([key, c]) => { byLength[key] = normalise(c); });
+    return { byLength, overall: normalise(overall), reads };
+  }
+
+  /**
+   * Power spectrum of a profile (mean removed, trimmed to a multiple of 3)
+   * score is the power at frequency 1/3 over the mean power of the other
+   * non-zero frequencies; fraction is its share of the total.
+   *
+   * @param {Array} profile - Counts along consecutive nucleotides
+   * @returns {Object} { spectrum: [{frequency, period, power}], power3, score, fraction }
+   */
+  function periodicitySpectrum(profile) {
+    const n = Math.floor((profile || []).length / 3) * 3;
+    if (n < 6) return { spectrum: [], power3: 0, score: 0, fraction: 0 };
+    const values = profile.slice(0, n);
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const centred = values.map(v => v - mean);
+
+    const spectrum = [];
+    for (let k = 1; k <= Math.floor(n / 2); k++) {
+      let re = 0;
+      let im = 0;
+      for (let t = 0; t < n; t++) {
+        const angle = -2 * Math.PI * k * t / n;
+        re += centred[t] * Math.cos(angle);
+        im += centred[t] * Math.sin(angle);
+      }
+      spectrum.push({ frequency: k / n, period: n / k, power: (re * re + im * im) / n });
+    }
+
+    const power3 = spectrum[n / 3 - 1].power;
+    const total = spectrum.reduce((sum, s) => sum + s.power, 0);
+    const others = spectrum.length > 1 ? (total - power3) / (spectrum.length - 1) : 0;
+    return {
+      spectrum,
+      power3,
+      score: others > 0 ? power3 / others : 0,
+      fraction: total > 0 ? power3 / total : 0
+    };
+  }
+
+  /**
+   * Run the full periodicity analysis on a table of read 5' ends
+   * @param {Array} records - Read records with readLength
+   * @param {Object} annotations - Output of parseAnnotations
+   * @param {Object} options - computeMetagene and estimatePSiteOffsets options
+   * @returns {Object} { metagene, offsets, frames, lengths: [{readLength, reads, offset, frames, score, fraction}] }
+   */
+  function analyzePeriodicity(records, annotations, options = {}) {
+    const metagene = computeMetagene(records, annotations, options);
+    const offsets = estimatePSiteOffsets(metagene, options);
+    const frames = computeFrameFractions(records, annotations, offsets);
+
+    const lengths = metagene.lengths.map(len => {
+      const profile = metagene.byLength[len];
+      // Periodicity over the CDS part of the start metagene
+      const spectrum = periodicitySpectrum(profile.start.slice(metagene.upstream));
+      return {
+        readLength: len,
+        reads: profile.reads,
+        offset: typeof offsets.byLength[len] === 'number' ? offsets.byLength[len] : null,
+        frames: frames.byLength[len] || [0, 0, 0],
+        score: spectrum.score,
+        fraction: spectrum.fraction
+      };
+    });
+
+    return { metagene, offsets, frames, lengths };
+  }
+
+  const api = {
+    DEFAULT_PSITE_OFFSETS,
+    parseBedGraph,
+    parseWig,
+    parseTSV,
+    detectFormat,
+    parseCoverage,
+    listTranscripts,
+    applyPSiteOffsets,
+    parseOffsetSpec,
+    buildCoverageTrack,
+    summarizeTranslonCoverage,
+    parseAnnotations,
+    computeMetagene,
+    estimatePSiteOffsets,
+    computeFrameFractions,
+    periodicitySpectrum,
+    analyzePeriodicity
+  };
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = api;
+  } else {
+    global.RiboSeq = api;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
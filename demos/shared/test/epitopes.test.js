@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Epitope detection checks: node demos/shared/test/epitopes.test.js
+ * A product is seen by an antibody only while it keeps that antibody's epitope.
+ */
+
+const assert = require('node:assert/strict');
+const RDGEngine = require('../rdg-engine.js');
+
+// Synthetic library ORF (its 29-codon pattern repeats residues 2-15 at 31-44) bound near its N-terminus
+RDGEngine.registerReporter('NLUC', { mw: 19, antibody: 'anti-NLuc', epitopes: [{ start: 2, end: 15 }] });
+RDGEngine.registerReporter('V5', { epitope: 'GKPIPNPLLGLDST', antibody: 'anti-V5' });
+
+const BASE = 'GGGAAACCCAAAGCCACC';
+
+// Translon over [start, stop) of an assembled construct, translated like buildTranslons does
+function translonAt(sequence, start, stop, name, recoding) {
+    const translon = {
+        name,
+        startNt: start,
+        endNt: stop,
+        frame: start % 3,
+        predictedAbundance: 1,
+        aaSequence: RDGEngine.translateORF(sequence.substring(start, stop))
+    };
+    if (recoding) translon.recodedProducts = RDGEngine.traceRecodedProducts(sequence, start, recoding);
+    return translon;
+}
+
+function productsFor(regions, reporter, starts, options = {}) {
+    const assembled = RDGEngine.assembleConstruct(BASE, regions);
+    const sequence = options.mutate ? options.mutate(assembled.sequence, assembled.regions) : assembled.sequence;
+    const constructMap = RDGEngine.buildConstructMap(assembled.regions);
+    const end = constructMap[reporter].end;
+    const translons = starts(constructMap).map((start, i) =>
+        translonAt(sequence, start, end, `T${i + 1}`, options.recoding && options.recoding(constructMap)));
+    return RDGEngine.predictProteinProducts(translons, constructMap, { ptm: false });
+}
+
+// NLUC from its own start keeps the N-terminal epitope; an in-frame start past residue 15 loses it
+{
+    const [full, truncated] = productsFor(
+        [{ type: '5UTR', start: 1, end: 18 }, { type: 'NLUC' }],
+        'NLUC',
+        map => [map.NLUC.start, map.NLUC.start + 3 * 20]
+    );
+    assert.deepEqual(full.reporters, ['NLUC']);
+    assert.deepEqual(full.antibodies, ['anti-NLuc']);
+    assert.equal(full.detectable, true);
+
+    assert.deepEqual(truncated.reporters, ['NLUC'], 'the truncated product still carries NLUC');
+    assert.deepEqual(truncated.antibodies, [], 'the repeat at residues 31-44 is not the epitope');
+    assert.equal(truncated.detectable, false);
+}
+
+// FLAG-NLUC: a product starting after the tag loses anti-FLAG; past residue 15 of NLUC it loses anti-NLuc too
+{
+    const [fused, inNluc, pastEpitope] = productsFor(
+        [{ type: '5UTR', start: 1, end: 15 }, { type: 'FLAG' }, { type: 'NLUC' }],
+        'NLUC',
+        map => [map.FLAG.start - 3, map.NLUC.start, map.NLUC.start + 3 * 20]
+    );
+    assert.deepEqual(fused.antibodies.sort(), ['anti-FLAG', 'anti-NLuc']);
+    assert.deepEqual(inNluc.antibodies, ['anti-NLuc']);
+    assert.deepEqual(pastEpitope.antibodies, []);
+}
+
+// Built-in reporters declare no epitopes: an N-truncated RLUC is still seen by anti-RLuc
+{
+    const [, truncated] = productsFor(
+        [{ type: '5UTR', start: 1, end: 18 }, { type: 'RLUC' }],
+        'RLUC',
+        map => [map.RLUC.start, map.RLUC.start + 3 * 20]
+    );
+    assert.deepEqual(truncated.antibodies, ['anti-RLuc']);
+}
+
+// A frameshifted product whose epitope is mutated does not match the same peptide repeated downstream
+{
+    const products = productsFor(
+        [{ type: '5UTR', start: 1, end: 18 }, { type: 'NLUC' }],
+        'NLUC',
+        map => [map.NLUC.start],
+        {
+            // Residue 5 (GCG, Ala) becomes GAU (Asp)
+            mutate: (sequence, regions) => {
+                const at = regions.find(r => r.type === 'NLUC').start + 3 * 4;
+                return sequence.substring(0, at) + 'GAU' + sequence.substring(at + 3);
+            },
+            recoding: map => ({ frameshiftSites: [{ pos: map.NLUC.start + 3 * 60, shift: 1, probability: 0.5 }] })
+        }
+    );
+    const shifted = products.find(p => p.recoding.some(e => e.type === 'frameshift'));
+    assert.ok(shifted, 'the frameshifted branch is a product');
+    assert.ok(shifted.aaSequence.includes(RDGEngine.reporterEpitopes('NLUC')[0].peptide), 'the peptide repeats in the product');
+    products.forEach(p => assert.deepEqual(p.antibodies, [], `${p.name} has no intact epitope`));
+}
+
+// Residues before a downstream epitope count the read-through stop: NLUC, read through, shift +1 into V5
+{
+    const products = productsFor(
+        [{ type: '5UTR', start: 1, end: 18 }, { type: 'NLUC' }, { type: 'CUSTOM', start: 1, end: 1 }, { type: 'V5' }],
+        'V5',
+        map => [map.NLUC.start],
+        {
+            recoding: map => ({
+                readthroughStops: [{ pos: map.NLUC.end - 3, probability: 0.5 }],
+                frameshiftSites: [{ pos: map.NLUC.end, shift: 1, probability: 1 }]
+            })
+        }
+    );
+    const fused = products.find(p => p.recoding.length === 2);
+    assert.ok(fused, 'the read-through, frameshifted branch is a product');
+    assert.deepEqual(fused.antibodies.sort(), ['anti-NLuc', 'anti-V5']);
+    const terminated = products.find(p => p.recoding.length === 0);
+    assert.deepEqual(terminated.antibodies, ['anti-NLuc']);
+}
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * Sensitivity analysis checks: node demos/shared/test/sensitivity.test.js
+ * Every model run is scaled by the baseline output, so the strongest translon moves too.
+ */
+
+const assert = require('node:assert/strict');
+const RDGEngine = require('../rdg-engine.js');
+
+const assembled = RDGEngine.assembleConstruct('GGGAAACCCAAAGCCACC', [
+    { type: '5UTR', start: 1, end: 18 },
+    { type: 'RLUC' }
+]);
+const constructMap = RDGEngine.buildConstructMap(assembled.regions);
+
+// Raising baseP initiates more at the main start and leaves fewer scanners for later ones
+{
+    const result = RDGEngine.analyzeSensitivity(assembled.sequence, {
+        paramNames: ['baseP'],
+        morrisTrajectories: 2,
+        sobolSamples: 0
+    });
+    const top = result.translons[0];
+    assert.equal(top.startNt, constructMap.RLUC.start, 'the RLUC start is the strongest translon');
+    assert.equal(top.predictedAbundance, 1);
+
+    const [baseP] = result.oneAtATime;
+    assert.ok(baseP.deltaLow[0] < 0, 'lowering baseP lowers the top translon');
+    assert.ok(baseP.deltaHigh[0] > 0, 'raising baseP raises the top translon');
+    assert.ok(result.morris[0].perTranslon[0].muStar > 0, 'Morris sees the baseP effect on the top translon');
+
+    const tornado = RDGEngine.getTornadoData(result, top.startNt);
+    assert.ok(tornado.bars[0].swing > 0, 'the tornado bar for the top translon is not empty');
+}